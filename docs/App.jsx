@@ -120,6 +120,8 @@ class App extends React.Component {
               position={this.state.position}
               onPositionChange={this.handlePositionChange}
               rotate={parseFloat(this.state.rotate)}
+              minScale={this.state.allowZoomOut ? 0.1 : 1}
+              maxScale={2}
               borderRadius={this.state.width / (100 / this.state.borderRadius)}
               onLoadFailure={this.logCallback.bind(this, 'onLoadFailed')}
               onLoadSuccess={this.logCallback.bind(this, 'onLoadSuccess')}
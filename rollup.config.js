@@ -4,28 +4,74 @@ import uglify from 'rollup-plugin-uglify'
 const pkg = require('./package.json')
 const external = Object.keys(pkg.dependencies)
 
-export default {
-  entry: 'src/index.js',
-  plugins: [
-    babel({
-      exclude: 'node_modules/**',
-      plugins: ['external-helpers'],
-    }),
-    uglify(),
-  ],
-  external: external,
-  globals: {
-    react: 'React',
-    'react-dom': 'ReactDOM',
-    'prop-types': 'PropTypes',
-    classnames: 'classNames',
-  },
-  targets: [
-    {
-      dest: pkg.main,
-      format: 'umd',
-      moduleName: 'AvatarEditor',
-      sourceMap: false,
+const plugins = [
+  babel({
+    exclude: 'node_modules/**',
+    plugins: ['external-helpers'],
+  }),
+  uglify(),
+]
+
+export default [
+  {
+    entry: 'src/index.js',
+    plugins,
+    external: external,
+    globals: {
+      react: 'React',
+      'react-dom': 'ReactDOM',
+      'prop-types': 'PropTypes',
+      classnames: 'classNames',
     },
-  ],
-}
+    targets: [
+      {
+        dest: pkg.main,
+        format: 'umd',
+        moduleName: 'AvatarEditor',
+        sourceMap: false,
+      },
+    ],
+  },
+  // the editor without React, for other frameworks or none
+  {
+    entry: 'src/core.js',
+    plugins,
+    external: external,
+    targets: [
+      {
+        dest: 'dist/core.js',
+        format: 'umd',
+        moduleName: 'AvatarEditorCore',
+        exports: 'named',
+        sourceMap: false,
+      },
+    ],
+  },
+  // checks uploads for metadata before they are sent anywhere
+  {
+    entry: 'src/utils/inspect-metadata.js',
+    plugins,
+    targets: [
+      {
+        dest: 'dist/inspect-metadata.js',
+        format: 'umd',
+        moduleName: 'AvatarEditorInspectMetadata',
+        exports: 'named',
+        sourceMap: false,
+      },
+    ],
+  },
+  // free of DOM and React, for servers re-cropping the original upload
+  {
+    entry: 'src/utils/crop-geometry.js',
+    plugins,
+    targets: [
+      {
+        dest: 'dist/crop-geometry.js',
+        format: 'cjs',
+        exports: 'named',
+        sourceMap: false,
+      },
+    ],
+  },
+]
@@ -0,0 +1,1962 @@
+/* eslint-env browser, node */
+import loadImageURL from './utils/load-image-url'
+import loadImageFile from './utils/load-image-file'
+import getTouchGesture from './utils/touch-gesture'
+import canvasToBlob from './utils/canvas-to-blob'
+import stripMetadata from './utils/strip-metadata'
+import downscaleCanvas from './utils/downscale-canvas'
+import centerCrop from './utils/center-crop'
+import drawShape from './utils/draw-shape'
+import maskCanvas from './utils/mask-canvas'
+import paintBackground from './utils/paint-background'
+import drawGuides from './utils/draw-guides'
+import getOverlayFill from './utils/overlay-fill'
+import drawPrintMarks, { drawCropMarks } from './utils/print-marks'
+import readFile from './utils/read-file'
+import setDpi from './utils/set-dpi'
+import toPixels from './utils/to-pixels'
+import getEffectiveResolution from './utils/effective-resolution'
+import drawResolutionBadge from './utils/draw-resolution-badge'
+import findDetailedRegion from './utils/find-detailed-region'
+import getCropTransform, {
+  isVertical,
+  getAreaScale,
+  getCoverScale,
+  getCroppingRect,
+} from './utils/crop-geometry'
+import detectFaces from './utils/detect-faces'
+import {
+  createHistory,
+  recordHistory,
+  undoHistory,
+  redoHistory,
+} from './utils/history'
+
+const makeCancelable = promise => {
+  let hasCanceled_ = false
+
+  const wrappedPromise = new Promise((resolve, reject) => {
+    /* eslint-disable prefer-promise-reject-errors */
+    promise.then(
+      val => (hasCanceled_ ? reject({ isCanceled: true }) : resolve(val)),
+      error => (hasCanceled_ ? reject({ isCanceled: true }) : reject(error))
+    )
+  })
+
+  return {
+    promise: wrappedPromise,
+    cancel() {
+      hasCanceled_ = true
+    },
+  }
+}
+
+const isTouchDevice = !!(
+  typeof window !== 'undefined' &&
+  typeof navigator !== 'undefined' &&
+  ('ontouchstart' in window || navigator.msMaxTouchPoints > 0)
+)
+
+const isFileAPISupported = typeof File !== 'undefined'
+
+const isPassiveSupported = () => {
+  // https://developer.mozilla.org/en-US/docs/Web/API/EventTarget/addEventListener
+  let passiveSupported = false
+  try {
+    const options = Object.defineProperty({}, 'passive', {
+      get: function() {
+        passiveSupported = true
+      },
+    })
+
+    window.addEventListener('test', options, options)
+    window.removeEventListener('test', options, options)
+  } catch (err) {
+    passiveSupported = false
+  }
+  return passiveSupported
+}
+
+const draggableEvents = {
+  touch: {
+    native: {
+      down: 'touchstart',
+      mouseDown: 'mousedown',
+      drag: 'touchmove',
+      move: 'touchmove',
+      mouseMove: 'mousemove',
+      up: 'touchend',
+      mouseUp: 'mouseup',
+    },
+  },
+  desktop: {
+    native: {
+      down: 'mousedown',
+      drag: 'dragStart',
+      move: 'mousemove',
+      up: 'mouseup',
+    },
+  },
+}
+const deviceEvents = isTouchDevice
+  ? draggableEvents.touch
+  : draggableEvents.desktop
+
+// how much one pixel of wheel delta zooms, trackpad pinches report much
+// smaller deltas (with ctrlKey set) than mouse wheels do.
+const WHEEL_ZOOM_SPEED = 0.002
+const PINCH_ZOOM_SPEED = 0.01
+const WHEEL_LINE_HEIGHT = 16
+
+// screen pixels moved per arrow key press, with and without shift
+const KEYBOARD_PAN_STEP = 10
+const KEYBOARD_PAN_STEP_LARGE = 50
+const KEYBOARD_ZOOM_FACTOR = 1.1
+const KEYBOARD_ROTATE_STEP = 90
+
+// room left around detected faces, relative to their size
+const FACE_PADDING = 1.6
+
+const HISTORY_LIMIT = 100
+// wheel zooms are recorded as a single step once the wheel stops
+const WHEEL_HISTORY_DELAY = 500
+
+// identifies the image a saved state belongs to
+const describeSource = image =>
+  isFileAPISupported && image instanceof File
+    ? {
+        name: image.name,
+        size: image.size,
+        type: image.type,
+        lastModified: image.lastModified,
+      }
+    : { url: typeof image === 'string' ? image : null }
+
+const isSameSnapshot = (a, b) =>
+  a.position.x === b.position.x &&
+  a.position.y === b.position.y &&
+  a.scale === b.scale &&
+  a.rotate === b.rotate &&
+  a.flipHorizontal === b.flipHorizontal &&
+  a.flipVertical === b.flipVertical
+
+const toRadians = degree => degree * (Math.PI / 180)
+
+const formatAnnouncement = ({ x, y, scale, rotate }) =>
+  `Position ${Math.round(x * 100)}% horizontally, ${Math.round(
+    y * 100
+  )}% vertically. Zoom ${Math.round(scale * 100)}%. Rotation ${Math.round(
+    rotate
+  )} degrees.`
+
+// print crop mark defaults, in millimetres
+const PRINT_CROP_MARKS = { length: 5, offset: 3, lineWidth: 0.1 }
+
+let pixelRatio =
+  typeof window !== 'undefined' && window.devicePixelRatio
+    ? window.devicePixelRatio
+    : 1
+
+/**
+ * Size of the canvas in CSS pixels, the cropping area turned with vertical
+ * rotations plus its border, and the size of its bitmap in device pixels.
+ * @param {object} options [editor options, only width, height, border and disableHiDPIScaling are read]
+ * @param {number} rotate [rotation of the image, in degrees]
+ */
+export const getCanvasSize = (
+  { width, height, border, disableHiDPIScaling },
+  rotate = 0
+) => {
+  const [borderX, borderY] = Array.isArray(border) ? border : [border, border]
+  const vertical = isVertical(rotate)
+  const ratio = disableHiDPIScaling ? 1 : pixelRatio
+  const cssWidth = (vertical ? height : width) + borderX * 2
+  const cssHeight = (vertical ? width : height) + borderY * 2
+
+  return {
+    width: cssWidth,
+    height: cssHeight,
+    pixelWidth: Math.floor(cssWidth * ratio),
+    pixelHeight: Math.floor(cssHeight * ratio),
+  }
+}
+
+// attributes the editor sets on its canvas, unless already there
+const getCanvasAttributes = options => ({
+  tabindex: '0',
+  role: 'application',
+  'aria-roledescription': options.ariaRoleDescription,
+  'aria-label': options.ariaLabel,
+})
+
+const defaultEmptyImage = {
+  x: 0.5,
+  y: 0.5,
+}
+
+export const defaultOptions = {
+  printMarks: {},
+  minScale: 0,
+  maxScale: Infinity,
+  initialFit: 'cover',
+  initialPosition: 'center',
+  border: 25,
+  borderRadius: 0,
+  shape: 'rect',
+  width: 200,
+  height: 200,
+  color: [0, 0, 0, 0.5],
+  overlayBlur: 0,
+  onLoadFailure() {},
+  onLoadSuccess() {},
+  onImageReady() {},
+  onImageChange() {},
+  onMouseUp() {},
+  onMouseMove() {},
+  onPositionChange() {},
+  onScaleChange() {},
+  onRotateChange() {},
+  onFlipChange() {},
+  onResolutionChange() {},
+  onFacesDetected() {},
+  onHistoryChange() {},
+  disableBoundaryChecks: false,
+  disableHiDPIScaling: false,
+  disableAutoOrientation: false,
+  enableWheelZoom: false,
+  ariaLabel:
+    'Image editor. Use the arrow keys to move the image, hold shift for larger steps. Use plus and minus to zoom and the bracket keys to rotate. Use control Z to undo and control shift Z to redo.',
+  ariaRoleDescription: 'image cropper',
+  formatAnnouncement,
+}
+
+class AvatarEditorCore {
+  state = {
+    drag: false,
+    my: null,
+    mx: null,
+    pinch: null,
+    scale: 1,
+    rotate: 0,
+    flipHorizontal: false,
+    flipVertical: false,
+    announcement: '',
+    image: defaultEmptyImage,
+  }
+
+  constructor(canvas, options) {
+    this.canvas = canvas
+    this.options = { ...defaultOptions, ...options }
+
+    // scaling by the devicePixelRatio can impact performance on mobile as it creates a very large canvas. This is an override to increase performance.
+    if (this.options.disableHiDPIScaling) {
+      pixelRatio = 1
+    }
+
+    // attributes already set on the canvas take precedence, the others
+    // follow the options
+    this.canvasAttributes = {}
+    this.ownAttributes = Object.keys(getCanvasAttributes(this.options)).filter(
+      name => !canvas.hasAttribute(name)
+    )
+
+    // canvas fallback content is exposed to assistive technology, which makes
+    // it a suitable home for the live region without adding a wrapper element
+    this.liveRegion = document.createElement('span')
+    this.liveRegion.setAttribute('aria-live', 'polite')
+    this.liveRegion.setAttribute('aria-atomic', 'true')
+    canvas.appendChild(this.liveRegion)
+
+    this.updateCanvas()
+
+    const context = canvas.getContext('2d')
+    if (this.options.image) {
+      this.loadImage(this.options.image)
+    }
+    this.paint(context)
+    if (document) {
+      const passiveSupported = isPassiveSupported()
+      const thirdArgument = passiveSupported ? { passive: false } : false
+
+      // registered natively so preventDefault can stop the page from scrolling
+      canvas.addEventListener('wheel', this.handleWheel, thirdArgument)
+
+      const nativeEvents = deviceEvents.native
+      canvas.addEventListener(
+        nativeEvents.down,
+        this.handleMouseDown,
+        thirdArgument
+      )
+      if (isTouchDevice) {
+        canvas.addEventListener(
+          nativeEvents.mouseDown,
+          this.handleMouseDown,
+          thirdArgument
+        )
+      }
+      canvas.addEventListener('keydown', this.handleKeyDown, false)
+
+      document.addEventListener(
+        nativeEvents.move,
+        this.handleMouseMove,
+        thirdArgument
+      )
+      document.addEventListener(
+        nativeEvents.up,
+        this.handleMouseUp,
+        thirdArgument
+      )
+      if (isTouchDevice) {
+        document.addEventListener(
+          nativeEvents.mouseMove,
+          this.handleMouseMove,
+          thirdArgument
+        )
+        document.addEventListener(
+          nativeEvents.mouseUp,
+          this.handleMouseUp,
+          thirdArgument
+        )
+      }
+    }
+  }
+
+  // Merges state changes and updates the editor, synchronously.
+  setState(changes, callback) {
+    const prevState = this.state
+    this.state = { ...prevState, ...changes }
+    this.update(this.options, prevState)
+    if (callback) {
+      callback()
+    }
+  }
+
+  // Replaces the options, which take the names and values of the props of
+  // the React component. Options left out get their default value.
+  setOptions(options) {
+    const prevOptions = this.options
+    this.options = { ...defaultOptions, ...options }
+    this.update(prevOptions, this.state)
+  }
+
+  // Sizes the canvas for the pixel ratio, and keeps its style, its
+  // attributes and the live region up to date.
+  updateCanvas() {
+    const canvas = this.canvas
+    const size = getCanvasSize(this.options, this.getRotate())
+
+    // resizing clears the canvas and resets its context, even to the same size
+    if (canvas.width !== size.pixelWidth) {
+      canvas.width = size.pixelWidth
+    }
+    if (canvas.height !== size.pixelHeight) {
+      canvas.height = size.pixelHeight
+    }
+
+    Object.assign(canvas.style, {
+      width: `${size.width}px`,
+      height: `${size.height}px`,
+      cursor: this.state.drag ? 'grabbing' : 'grab',
+      touchAction: 'none',
+      ...this.options.style,
+    })
+    this.liveRegion.textContent = this.state.announcement
+
+    const attributes = getCanvasAttributes(this.options)
+    this.ownAttributes.forEach(name => {
+      if (this.canvasAttributes[name] !== attributes[name]) {
+        canvas.setAttribute(name, attributes[name])
+        this.canvasAttributes[name] = attributes[name]
+      }
+    })
+  }
+
+  // Brings the canvas up to date with the options and state, and reports
+  // the changes, after every setState and setOptions. Destroyed editors no
+  // longer touch the canvas nor call back.
+  update(prevOptions, prevState) {
+    if (this.destroyed) {
+      return
+    }
+
+    this.updateCanvas()
+
+    if (
+      (this.options.image && this.options.image !== prevOptions.image) ||
+      this.options.width !== prevOptions.width ||
+      this.options.height !== prevOptions.height
+    ) {
+      this.loadImage(this.options.image)
+    } else if (!this.options.image && this.state.image !== defaultEmptyImage) {
+      this.clearImage()
+    }
+
+    const canvas = this.canvas
+    const context = canvas.getContext('2d')
+    context.clearRect(0, 0, canvas.width, canvas.height)
+    this.paint(context)
+    this.paintBackdrop(context)
+    this.paintImage(context, this.state.image, this.options.border)
+
+    if (
+      prevOptions.image !== this.options.image ||
+      prevOptions.width !== this.options.width ||
+      prevOptions.height !== this.options.height ||
+      prevOptions.position !== this.options.position ||
+      prevOptions.scale !== this.options.scale ||
+      prevOptions.rotate !== this.options.rotate ||
+      prevOptions.flipHorizontal !== this.options.flipHorizontal ||
+      prevOptions.flipVertical !== this.options.flipVertical ||
+      prevState.scale !== this.state.scale ||
+      prevState.rotate !== this.state.rotate ||
+      prevState.flipHorizontal !== this.state.flipHorizontal ||
+      prevState.flipVertical !== this.state.flipVertical ||
+      prevState.my !== this.state.my ||
+      prevState.mx !== this.state.mx ||
+      prevState.image.x !== this.state.image.x ||
+      prevState.image.y !== this.state.image.y
+    ) {
+      this.options.onImageChange()
+    }
+
+    this.reportResolution()
+    this.updateHistory(prevOptions)
+  }
+
+  // Stops listening to events and pending work, and removes the live
+  // region. What was painted stays on the canvas.
+  destroy() {
+    this.destroyed = true
+    this.canvas.removeChild(this.liveRegion)
+
+    if (this.loadingImage) {
+      this.loadingImage.cancel()
+    }
+    if (this.faceDetection) {
+      this.faceDetection.cancel()
+    }
+    clearTimeout(this.wheelHistoryTimeout)
+
+    if (document) {
+      const canvas = this.canvas
+      canvas.removeEventListener('wheel', this.handleWheel, false)
+
+      const nativeEvents = deviceEvents.native
+      canvas.removeEventListener(nativeEvents.down, this.handleMouseDown, false)
+      if (isTouchDevice) {
+        canvas.removeEventListener(
+          nativeEvents.mouseDown,
+          this.handleMouseDown,
+          false
+        )
+      }
+      canvas.removeEventListener('keydown', this.handleKeyDown, false)
+
+      document.removeEventListener(
+        nativeEvents.move,
+        this.handleMouseMove,
+        false
+      )
+      document.removeEventListener(nativeEvents.up, this.handleMouseUp, false)
+      if (isTouchDevice) {
+        document.removeEventListener(
+          nativeEvents.mouseMove,
+          this.handleMouseMove,
+          false
+        )
+        document.removeEventListener(
+          nativeEvents.mouseUp,
+          this.handleMouseUp,
+          false
+        )
+      }
+    }
+  }
+
+  // scale and rotate follow the same rule as position: when the prop is
+  // set the host owns the value, otherwise gestures update internal state.
+  // Either way the scale is kept within the limits.
+  getScale() {
+    return this.clampScale(
+      typeof this.options.scale === 'number'
+        ? this.options.scale
+        : this.state.scale
+    )
+  }
+
+  // maxScale is lowered further by minOutputResolution, so that the
+  // cropping area keeps at least that many source pixels on each side.
+  getScaleLimits() {
+    const { minScale, maxScale, minOutputResolution } = this.options
+    const resource = this.state.image.resource
+    let max = maxScale
+
+    if (minOutputResolution && resource) {
+      // at scale 1 the cropping area spans getXScale() of the image width
+      const minSize = this.getCoverScale() * minOutputResolution
+      max = Math.min(
+        max,
+        (this.getXScale() * resource.width) / minSize,
+        (this.getYScale() * resource.height) / minSize
+      )
+    }
+
+    return { min: minScale, max: Math.max(minScale, max) }
+  }
+
+  clampScale(scale) {
+    const { min, max } = this.getScaleLimits()
+    return Math.max(min, Math.min(scale, max))
+  }
+
+  getRotate() {
+    return typeof this.options.rotate === 'number'
+      ? this.options.rotate
+      : this.state.rotate
+  }
+
+  // The geometry lives in utils/crop-geometry, shared with servers
+  // reproducing the crop, these read it for the current view.
+  isVertical() {
+    return isVertical(this.getRotate())
+  }
+
+  getCoverScale(rotate = this.getRotate()) {
+    if (!this.state.image.width || !this.state.image.height) {
+      return 1
+    }
+
+    return getCoverScale(this.state.image, {
+      width: this.options.width,
+      height: this.options.height,
+      rotate,
+    })
+  }
+
+  // Like scale and rotate, flips are kept in the state unless set as options.
+  getFlip() {
+    const { flipHorizontal, flipVertical } = this.options
+
+    return {
+      flipHorizontal:
+        typeof flipHorizontal === 'boolean'
+          ? flipHorizontal
+          : this.state.flipHorizontal,
+      flipVertical:
+        typeof flipVertical === 'boolean'
+          ? flipVertical
+          : this.state.flipVertical,
+    }
+  }
+
+  // The image is mirrored in its own axes, before it is rotated.
+  getFlipScale() {
+    const { flipHorizontal, flipVertical } = this.getFlip()
+
+    return {
+      x: flipHorizontal ? -1 : 1,
+      y: flipVertical ? -1 : 1,
+    }
+  }
+
+  getBorders(border = this.options.border) {
+    return Array.isArray(border) ? border : [border, border]
+  }
+
+  getDimensions() {
+    const { width, height, border } = this.options
+    const rotate = this.getRotate()
+    const size = getCanvasSize(this.options, rotate)
+
+    return {
+      canvas: { width: size.width, height: size.height },
+      rotate,
+      width,
+      height,
+      border,
+    }
+  }
+
+  /**
+   * Get the resulting image at the resolution of the original image.
+   * @param {object} options [`mask` makes the area outside of the cropping shape transparent, see applyMask, `background` overrides the background prop]
+   */
+  getImage(options = {}) {
+    const image = this.state.image
+    const { rect, width, height, matrix } = getCropTransform(
+      image.resource,
+      this.getView()
+    )
+
+    // create a canvas with the correct dimensions
+    const canvas = document.createElement('canvas')
+    canvas.width = width
+    canvas.height = height
+
+    // draw the full-size image at the correct position,
+    // the image gets truncated to the size of the canvas.
+    const context = canvas.getContext('2d')
+    context.setTransform(...matrix)
+
+    paintBackground(
+      context,
+      image.resource,
+      {
+        x: 0,
+        y: 0,
+        width: image.resource.width,
+        height: image.resource.height,
+      },
+      {
+        x: rect.x + rect.width / 2,
+        y: rect.y + rect.height / 2,
+        size: Math.sqrt(
+          canvas.width * canvas.width + canvas.height * canvas.height
+        ),
+      },
+      options.background === undefined
+        ? this.options.background
+        : options.background,
+      rect.width / this.options.width
+    )
+    context.drawImage(image.resource, 0, 0)
+
+    return this.applyMask(canvas, options)
+  }
+
+  // Clamps the border radius between zero (perfect rectangle) and half the
+  // size of the cropping area (perfect circle or "pill").
+  getBorderRadius() {
+    const dimensions = this.getDimensions()
+    const [borderX, borderY] = this.getBorders(dimensions.border)
+
+    return Math.max(
+      0,
+      Math.min(
+        this.options.borderRadius,
+        dimensions.canvas.width / 2 - borderX,
+        dimensions.canvas.height / 2 - borderY
+      )
+    )
+  }
+
+  /**
+   * Returns the box the shape of the cropping area fits in, in editor
+   * pixels relative to the canvas, along with the border radius.
+   */
+  getShapeBox() {
+    const dimensions = this.getDimensions()
+    const [borderX, borderY] = this.getBorders(dimensions.border)
+
+    return {
+      x: borderX,
+      y: borderY,
+      width: dimensions.canvas.width - borderX * 2,
+      height: dimensions.canvas.height - borderY * 2,
+      radius: this.getBorderRadius(),
+    }
+  }
+
+  /**
+   * Tells whether a point, in client coordinates, lies inside the shape of
+   * the cropping area.
+   * @param {number} clientX [x pos of the point in client coordinates]
+   * @param {number} clientY [y pos of the point in client coordinates]
+   */
+  isPointInShape(clientX, clientY) {
+    const canvas = this.canvas
+    const context = canvas.getContext('2d')
+    const bounds = canvas.getBoundingClientRect()
+    const dimensions = this.getDimensions()
+
+    context.save()
+    context.setTransform(1, 0, 0, 1, 0, 0)
+    context.beginPath()
+    drawShape(context, this.options.shape, this.getShapeBox())
+    const isInside = context.isPointInPath(
+      (clientX - bounds.left) * (dimensions.canvas.width / bounds.width),
+      (clientY - bounds.top) * (dimensions.canvas.height / bounds.height)
+    )
+    context.restore()
+
+    return isInside
+  }
+
+  /**
+   * Makes the area outside of the cropping shape of an exported canvas
+   * transparent, following the shape shown in the editor.
+   * @param {HTMLCanvasElement} canvas [the exported image]
+   * @param {object} options [`mask` enables it, `antialias` (default true) smooths the edge, `outline` is `{ width, color }` with width in editor pixels]
+   */
+  applyMask(canvas, { mask, antialias = true, outline } = {}) {
+    if (!mask) {
+      return canvas
+    }
+
+    // the exported canvas has the aspect ratio of the cropping area, only
+    // its resolution differs
+    const box = this.getShapeBox()
+    const ratio = canvas.width / box.width
+    const tracePath = context =>
+      drawShape(context, this.options.shape, {
+        x: 0,
+        y: 0,
+        width: canvas.width,
+        height: canvas.height,
+        radius: box.radius * ratio,
+      })
+
+    return maskCanvas(canvas, tracePath, {
+      antialias,
+      outline: outline && {
+        width: outline.width * ratio,
+        color: outline.color,
+      },
+    })
+  }
+
+  /**
+   * Get the resulting image as a Blob, free of EXIF (and thus of GPS
+   * location), XMP and ICC metadata: some browsers embed a color profile
+   * when encoding canvases, which is stripped.
+   * @param {object} options [`type` is the MIME type, `quality` between 0 and 1 for lossy formats, other options are passed to getImage]
+   */
+  getImageBlob({ type = 'image/png', quality, ...options } = {}) {
+    // getImage throws without an image, which rejects rather than throwing
+    return Promise.resolve()
+      .then(() => canvasToBlob(this.getImage(options), type, quality))
+      .then(blob =>
+        readFile(blob, 'readAsArrayBuffer').then(buffer => {
+          const stripped = stripMetadata(buffer)
+          return stripped === buffer
+            ? blob
+            : new Blob([stripped], { type: blob.type })
+        })
+      )
+  }
+
+  /**
+   * Export the resulting image, encoded asynchronously. Resolves with a
+   * File when `fileName` is given (and Files are supported), a Blob otherwise.
+   * @param {object} options [`type` is 'image/png', 'image/jpeg' or 'image/webp', `quality` between 0 and 1 for lossy formats, other options are passed to getImage]
+   */
+  exportImage({ fileName, ...options } = {}) {
+    return this.getImageBlob(options).then(blob =>
+      fileName && isFileAPISupported
+        ? new File([blob], fileName, { type: blob.type })
+        : blob
+    )
+  }
+
+  getSnapshot() {
+    return {
+      position: this.getPosition(),
+      scale: this.getScale(),
+      rotate: this.getRotate(),
+      ...this.getFlip(),
+    }
+  }
+
+  // The history restarts from the current view, on the next update so that
+  // pending state changes are part of it.
+  resetHistory() {
+    this.history = null
+    this.update(this.options, this.state)
+  }
+
+  // Records the view once gestures end (drags, pinches, wheel zooms and key
+  // presses flag it as pending) or when the host changes it through props.
+  updateHistory(prevOptions) {
+    if (!this.state.image.resource) {
+      return
+    }
+
+    if (!this.history) {
+      this.history = createHistory(this.getSnapshot())
+      this.historyPending = false
+      this.options.onHistoryChange(this.getHistoryInfo())
+      return
+    }
+
+    const propsChanged = [
+      'position',
+      'scale',
+      'rotate',
+      'flipHorizontal',
+      'flipVertical',
+    ].some(key => prevOptions[key] !== this.options[key])
+
+    // Hosts controlling the view pass each reported change back one prop at
+    // a time, the whole change is recorded once all of them are sent.
+    if (this.reportingChanges) {
+      this.historyPending = this.historyPending || propsChanged
+      return
+    }
+
+    if (
+      !this.state.drag &&
+      !this.wheelHistoryTimeout &&
+      (this.historyPending || propsChanged)
+    ) {
+      this.historyPending = false
+      this.commitHistory()
+    }
+  }
+
+  // Runs `report`, which changes the view and sends the change callbacks,
+  // then records the history for all of them at once.
+  reportChanges(report) {
+    if (this.reportingChanges) {
+      report()
+      return
+    }
+
+    this.reportingChanges = true
+    try {
+      report()
+    } finally {
+      this.reportingChanges = false
+    }
+    this.updateHistory(this.options)
+  }
+
+  commitHistory() {
+    if (!this.history) {
+      return
+    }
+
+    const history = recordHistory(
+      this.history,
+      this.getSnapshot(),
+      isSameSnapshot,
+      HISTORY_LIMIT
+    )
+
+    if (history !== this.history) {
+      this.history = history
+      this.options.onHistoryChange(this.getHistoryInfo())
+    }
+  }
+
+  getHistoryInfo() {
+    return {
+      canUndo: this.canUndo(),
+      canRedo: this.canRedo(),
+      snapshot: this.history.present,
+    }
+  }
+
+  canUndo() {
+    return !!this.history && this.history.past.length > 0
+  }
+
+  canRedo() {
+    return !!this.history && this.history.future.length > 0
+  }
+
+  undo() {
+    this.moveInHistory(undoHistory)
+  }
+
+  redo() {
+    this.moveInHistory(redoHistory)
+  }
+
+  // Restores the position, scale, rotation and flips of another history entry
+  // and reports them through their change callbacks, hosts passing them back
+  // as props don't record a new entry.
+  moveInHistory(move) {
+    const history = this.history && move(this.history)
+    if (!history || history === this.history) {
+      return
+    }
+
+    this.history = history
+
+    const {
+      position,
+      scale,
+      rotate,
+      flipHorizontal,
+      flipVertical,
+    } = history.present
+    this.reportChanges(() => {
+      this.setState({
+        scale,
+        rotate,
+        flipHorizontal,
+        flipVertical,
+        image: {
+          ...this.state.image,
+          ...position,
+        },
+      })
+      this.options.onPositionChange(position)
+      this.options.onScaleChange(scale)
+      this.options.onRotateChange(rotate)
+      this.options.onFlipChange({ flipHorizontal, flipVertical })
+      this.historyPending = false
+    })
+    this.options.onHistoryChange(this.getHistoryInfo())
+    this.announce({ position, scale, rotate })
+  }
+
+  /**
+   * Describes the current view as a JSON-serializable object, to save it and
+   * pass it to restoreState or the initialState prop later on. Returns null
+   * until an image is loaded.
+   */
+  getState() {
+    const resource = this.state.image.resource
+    if (!resource) {
+      return null
+    }
+
+    const { x, y, width, height } = this.getCroppingRect()
+
+    return {
+      source: {
+        ...describeSource(this.options.image),
+        width: resource.width,
+        height: resource.height,
+      },
+      position: this.getPosition(),
+      scale: this.getScale(),
+      rotate: this.getRotate(),
+      ...this.getFlip(),
+      croppingRect: { x, y, width, height },
+      editor: {
+        width: this.options.width,
+        height: this.options.height,
+        border: this.options.border,
+      },
+    }
+  }
+
+  /**
+   * Restores a view saved with getState. The cropping rectangle is restored
+   * rather than the scale, so the same part of the image shows whatever the
+   * size of the editor, at least the saved area when its aspect ratio
+   * changed. Flips are restored too, reported through onFlipChange. Waits
+   * for the image when none is loaded yet.
+   * @param {object} state [a state returned by getState]
+   */
+  restoreState(state) {
+    if (!this.state.image.resource) {
+      this.pendingState = state
+      return
+    }
+
+    const {
+      croppingRect,
+      rotate = 0,
+      flipHorizontal = false,
+      flipVertical = false,
+    } = state
+    const coverScale = this.getCoverScale(rotate)
+    const scale = this.clampScale(
+      Math.min(
+        this.getXScale() / (coverScale * croppingRect.width),
+        this.getYScale() / (coverScale * croppingRect.height)
+      )
+    )
+    const position = {
+      x: croppingRect.x + croppingRect.width / 2,
+      y: croppingRect.y + croppingRect.height / 2,
+    }
+
+    this.reportChanges(() => {
+      this.historyPending = true
+      this.setState({
+        scale,
+        rotate,
+        flipHorizontal,
+        flipVertical,
+        image: {
+          ...this.state.image,
+          ...position,
+        },
+      })
+      this.options.onPositionChange(position)
+      this.options.onScaleChange(scale)
+      this.options.onRotateChange(rotate)
+      this.options.onFlipChange({ flipHorizontal, flipVertical })
+    })
+  }
+
+  // Scale, position, rotation and image changes all affect the effective
+  // resolution, only report it when it actually changed.
+  reportResolution() {
+    const resolution = this.getEffectiveResolution()
+    const last = this.lastResolution
+
+    if (
+      resolution &&
+      (!last ||
+        last.ratio !== resolution.ratio ||
+        last.level !== resolution.level)
+    ) {
+      this.lastResolution = resolution
+      this.options.onResolutionChange(resolution)
+    }
+  }
+
+  /**
+   * Compares the source pixels inside the cropping area with the
+   * targetResolution prop. Returns `{ sourceWidth, sourceHeight, ratio,
+   * effectiveDpi, level }`, or null without an image or a target.
+   */
+  getEffectiveResolution() {
+    const { targetResolution, resolutionThresholds } = this.options
+    const image = this.state.image
+
+    if (!targetResolution || !image.resource) {
+      return null
+    }
+
+    // the same source pixels as getImage, in the orientation of the output
+    const cropRect = this.getCroppingRect()
+    const width = cropRect.width * image.resource.width
+    const height = cropRect.height * image.resource.height
+
+    return getEffectiveResolution(
+      this.isVertical() ? { width: height, height: width } : { width, height },
+      targetResolution,
+      resolutionThresholds
+    )
+  }
+
+  /**
+   * Get the resulting image sized for print: the trimmed size plus the
+   * bleed on each side, at the given resolution. The cropping area should
+   * have the aspect ratio of the print including its bleed: otherwise it
+   * is cut to that ratio around its center rather than distorted.
+   * @param {object} options [`width`, `height` (of the trimmed print) and `bleed` in `unit` ('mm' or 'in'), `dpi` (default 300), `cropMarks` (`true` or `{ length, offset, lineWidth, color }` in `unit`) to add marks outside of the bleed, other options are passed to getImage]
+   */
+  getPrintImage({
+    width,
+    height,
+    bleed = 0,
+    unit = 'mm',
+    dpi = 300,
+    cropMarks,
+    ...options
+  }) {
+    const bleedSize = Math.round(toPixels(bleed, unit, dpi))
+    const trimWidth = Math.round(toPixels(width, unit, dpi))
+    const trimHeight = Math.round(toPixels(height, unit, dpi))
+    const imageWidth = trimWidth + bleedSize * 2
+    const imageHeight = trimHeight + bleedSize * 2
+
+    // crop mark sizes are given in `unit`, their defaults in millimetres
+    const marks = {}
+    Object.keys(PRINT_CROP_MARKS).forEach(key => {
+      marks[key] =
+        typeof cropMarks === 'object' && cropMarks[key] !== undefined
+          ? toPixels(cropMarks[key], unit, dpi)
+          : toPixels(PRINT_CROP_MARKS[key], 'mm', dpi)
+    })
+    const margin = cropMarks ? Math.ceil(marks.offset + marks.length) : 0
+
+    const canvas = document.createElement('canvas')
+    canvas.width = imageWidth + margin * 2
+    canvas.height = imageHeight + margin * 2
+
+    const context = canvas.getContext('2d')
+
+    if (cropMarks) {
+      // the marks are printed on the paper around the bleed
+      context.fillStyle = '#ffffff'
+      context.fillRect(0, 0, canvas.width, canvas.height)
+    }
+
+    context.drawImage(
+      downscaleCanvas(
+        centerCrop(this.getImage(options), imageWidth / imageHeight),
+        imageWidth,
+        imageHeight
+      ),
+      margin,
+      margin
+    )
+
+    if (cropMarks) {
+      drawCropMarks(
+        context,
+        { x: margin, y: margin, width: imageWidth, height: imageHeight },
+        {
+          x: margin + bleedSize,
+          y: margin + bleedSize,
+          width: trimWidth,
+          height: trimHeight,
+        },
+        {
+          color: cropMarks.color || '#000000',
+          dash: [],
+          ...marks,
+        }
+      )
+    }
+
+    return canvas
+  }
+
+  /**
+   * Export the resulting image for print, see getPrintImage, with its
+   * resolution written into the file so that it prints at the right size.
+   * @param {object} options [`type` is 'image/png' or 'image/jpeg', `quality` between 0 and 1 for JPEG, `fileName` as in exportImage, other options are passed to getPrintImage]
+   */
+  exportPrintImage({
+    type = 'image/png',
+    quality,
+    fileName,
+    dpi = 300,
+    ...options
+  }) {
+    return Promise.resolve()
+      .then(() =>
+        canvasToBlob(this.getPrintImage({ dpi, ...options }), type, quality)
+      )
+      .then(blob =>
+        readFile(blob, 'readAsArrayBuffer').then(
+          buffer => new Blob([setDpi(buffer, dpi)], { type: blob.type })
+        )
+      )
+      .then(blob =>
+        fileName && isFileAPISupported
+          ? new File([blob], fileName, { type: blob.type })
+          : blob
+      )
+  }
+
+  /**
+   * Get several renditions of the resulting image in one go, each one
+   * resized from the full resolution crop. Returns canvases in the order
+   * of `sizes`, their height following the aspect ratio of the crop.
+   * @param {number[]} sizes [widths of the renditions, e.g. [512, 256, 128, 64]]
+   * @param {object} options [passed to getImage]
+   */
+  getImageRenditions(sizes, options) {
+    const image = this.getImage(options)
+
+    return sizes.map(size =>
+      downscaleCanvas(
+        image,
+        size,
+        Math.max(1, Math.round((size * image.height) / image.width))
+      )
+    )
+  }
+
+  /**
+   * Get the image scaled to original canvas size.
+   * This was default in 4.x and is now kept as a legacy method.
+   * @param {object} options [`mask` makes the area outside of the cropping shape transparent, see applyMask, `background` overrides the background prop]
+   */
+  getImageScaledToCanvas(options = {}) {
+    const { width, height } = this.getDimensions()
+
+    const canvas = document.createElement('canvas')
+
+    if (this.isVertical()) {
+      canvas.width = height
+      canvas.height = width
+    } else {
+      canvas.width = width
+      canvas.height = height
+    }
+
+    // don't paint a border here, as it is the resulting image
+    this.paintImage(
+      canvas.getContext('2d'),
+      this.state.image,
+      0,
+      1,
+      options.background === undefined
+        ? this.options.background
+        : options.background
+    )
+
+    return this.applyMask(canvas, options)
+  }
+
+  getXScale() {
+    return getAreaScale(this.state.image, this.options).x
+  }
+
+  getYScale() {
+    return getAreaScale(this.state.image, this.options).y
+  }
+
+  getPosition() {
+    return (
+      this.options.position || {
+        x: this.state.image.x,
+        y: this.state.image.y,
+      }
+    )
+  }
+
+  getCroppingRect(position = this.getPosition(), scale = this.getScale()) {
+    return {
+      ...getCroppingRect(this.state.image, this.getView(position, scale)),
+      ...this.getFlip(),
+    }
+  }
+
+  // The view as described to utils/crop-geometry.
+  getView(position = this.getPosition(), scale = this.getScale()) {
+    return {
+      width: this.options.width,
+      height: this.options.height,
+      position,
+      scale,
+      rotate: this.getRotate(),
+      ...this.getFlip(),
+      disableBoundaryChecks: this.options.disableBoundaryChecks,
+    }
+  }
+
+  // Loads an image, superseding the one being loaded if any. Late results
+  // of superseded loads, or of loads pending when the editor is destroyed,
+  // are ignored.
+  loadImage(image) {
+    if (this.faceDetection) {
+      this.faceDetection.cancel()
+    }
+    if (this.loadingImage) {
+      this.loadingImage.cancel()
+    }
+
+    let loading
+    if (isFileAPISupported && image instanceof File) {
+      loading = makeCancelable(
+        loadImageFile(image, !this.options.disableAutoOrientation).then(
+          ({ image, orientation, metadata }) => ({
+            image,
+            info: { orientation, metadata },
+          })
+        )
+      )
+    } else if (typeof image === 'string') {
+      loading = makeCancelable(
+        loadImageURL(image, this.options.crossOrigin).then(image => ({
+          image,
+        }))
+      )
+    } else {
+      return
+    }
+
+    this.loadingImage = loading
+    loading.promise
+      .then(({ image, info }) => this.handleImageReady(image, info))
+      .catch(error => {
+        if (!error.isCanceled) {
+          this.options.onLoadFailure(error)
+        }
+      })
+  }
+
+  handleImageReady = (image, info = {}) => {
+    // the resolution of each new image is reported, even if the same
+    this.lastResolution = null
+    const imageState = this.getInitialSize(image.width, image.height)
+    imageState.resource = image
+    imageState.x = 0.5
+    imageState.y = 0.5
+    imageState.orientation = info.orientation
+    imageState.metadata = info.metadata || {
+      width: image.width,
+      height: image.height,
+      type: null,
+      size: null,
+      name: null,
+      exif: null,
+    }
+    this.setState(
+      {
+        drag: false,
+        pinch: null,
+        scale: 1,
+        rotate: 0,
+        flipHorizontal: false,
+        flipVertical: false,
+        image: imageState,
+      },
+      () => {
+        // initialState only applies to the first image loaded
+        const savedState =
+          this.pendingState ||
+          (this.hasLoadedImage ? null : this.options.initialState)
+        this.pendingState = null
+        this.hasLoadedImage = true
+
+        if (savedState) {
+          this.restoreState(savedState)
+        } else {
+          this.applyInitialPlacement()
+        }
+        this.resetHistory()
+        if (this.options.detectFaces && !savedState) {
+          this.runFaceDetection()
+        }
+        this.options.onImageReady()
+      }
+    )
+    this.options.onLoadSuccess(imageState)
+  }
+
+  // Scale at which the image covers the cropping area (1), fits inside it,
+  // or spans its width or height. Sides follow the editor orientation.
+  getFitScale(fit) {
+    const xScale = this.getXScale()
+    const yScale = this.getYScale()
+    const vertical = this.isVertical()
+
+    return (
+      {
+        contain: Math.min(xScale, yScale),
+        'fill-width': vertical ? yScale : xScale,
+        'fill-height': vertical ? xScale : yScale,
+      }[fit] || 1
+    )
+  }
+
+  // Places a newly loaded image following initialFit and initialPosition.
+  // Anything else than the default cover and center is reported through
+  // onScaleChange and onPositionChange, like a user change.
+  applyInitialPlacement() {
+    const { initialFit, initialPosition } = this.options
+    const scale = this.clampScale(this.getFitScale(initialFit))
+    let position = null
+
+    if (initialPosition === 'entropy') {
+      position = findDetailedRegion(
+        this.state.image.resource,
+        this.getCroppingRect({ x: 0.5, y: 0.5 }, scale)
+      )
+    } else if (initialPosition && typeof initialPosition === 'object') {
+      position = initialPosition
+    }
+
+    if (position) {
+      // keep the cropping area within the image
+      const rect = this.getCroppingRect(position, scale)
+      position = {
+        x: rect.x + rect.width / 2,
+        y: rect.y + rect.height / 2,
+      }
+    }
+
+    if (scale !== 1) {
+      this.setState({ scale })
+      this.options.onScaleChange(scale)
+    }
+    if (position) {
+      this.setState({ image: { ...this.state.image, ...position } })
+      this.options.onPositionChange(position)
+    }
+  }
+
+  // Runs the detectFaces hook on the loaded image, then zooms in on the
+  // faces found, unless the user moved the image in the meantime. A
+  // failing detector is reported as finding no faces.
+  runFaceDetection() {
+    const initialView = this.getSnapshot()
+    this.faceDetection = makeCancelable(
+      detectFaces(this.state.image.resource, this.options.detectFaces)
+    )
+    this.faceDetection.promise
+      .then(faces => {
+        this.options.onFacesDetected(faces)
+        if (faces.length && isSameSnapshot(initialView, this.getSnapshot())) {
+          this.centerOnFaces(faces)
+        }
+      })
+      .catch(error => {
+        if (!error.isCanceled) {
+          this.options.onFacesDetected([], error)
+        }
+      })
+  }
+
+  /**
+   * Centers the cropping area on the given faces, zooming in until they
+   * fill it, but never out past the scale covering the cropping area.
+   * @param {object[]} faces [boxes relative to the image, as given to onFacesDetected]
+   */
+  centerOnFaces(faces) {
+    const left = Math.min(...faces.map(face => face.x))
+    const top = Math.min(...faces.map(face => face.y))
+    const right = Math.max(...faces.map(face => face.x + face.width))
+    const bottom = Math.max(...faces.map(face => face.y + face.height))
+
+    // the cropping area spans getXScale() / (scale * coverScale) of the image
+    const coverScale = this.getCoverScale()
+    const scale = this.clampScale(
+      Math.max(
+        1,
+        Math.min(
+          this.getXScale() / (coverScale * (right - left) * FACE_PADDING),
+          this.getYScale() / (coverScale * (bottom - top) * FACE_PADDING)
+        )
+      )
+    )
+    const rect = this.getCroppingRect(
+      { x: (left + right) / 2, y: (top + bottom) / 2 },
+      scale
+    )
+    const position = {
+      x: rect.x + rect.width / 2,
+      y: rect.y + rect.height / 2,
+    }
+
+    this.setState({ scale, image: { ...this.state.image, ...position } })
+    this.options.onScaleChange(scale)
+    this.options.onPositionChange(position)
+    this.resetHistory()
+  }
+
+  getInitialSize(width, height) {
+    let newHeight
+    let newWidth
+
+    const dimensions = this.getDimensions()
+    const canvasRatio = dimensions.height / dimensions.width
+    const imageRatio = height / width
+
+    if (canvasRatio > imageRatio) {
+      newHeight = this.getDimensions().height
+      newWidth = width * (newHeight / height)
+    } else {
+      newWidth = this.getDimensions().width
+      newHeight = height * (newWidth / width)
+    }
+
+    return {
+      height: newHeight,
+      width: newWidth,
+    }
+  }
+
+  clearImage = () => {
+    this.lastResolution = null
+    const canvas = this.canvas
+    const context = canvas.getContext('2d')
+    context.clearRect(0, 0, canvas.width, canvas.height)
+    this.setState({
+      image: defaultEmptyImage,
+    })
+  }
+
+  paintImage(
+    context,
+    image,
+    border,
+    scaleFactor = pixelRatio,
+    background = this.options.background
+  ) {
+    if (image.resource) {
+      const position = this.calculatePosition(image, border)
+
+      const flip = this.getFlipScale()
+
+      context.save()
+
+      context.translate(context.canvas.width / 2, context.canvas.height / 2)
+      context.rotate(toRadians(this.getRotate()))
+      context.scale(flip.x, flip.y)
+      context.translate(
+        -(context.canvas.width / 2),
+        -(context.canvas.height / 2)
+      )
+
+      if (this.isVertical()) {
+        context.translate(
+          (context.canvas.width - context.canvas.height) / 2,
+          (context.canvas.height - context.canvas.width) / 2
+        )
+      }
+
+      context.scale(scaleFactor, scaleFactor)
+
+      context.globalCompositeOperation = 'destination-over'
+      context.drawImage(
+        image.resource,
+        position.x,
+        position.y,
+        position.width,
+        position.height
+      )
+
+      // painted beneath the image, around the cropping area center which
+      // is also the canvas center
+      const [borderX, borderY] = this.getBorders(border)
+      const vertical = this.isVertical()
+      const { width, height } = context.canvas
+      paintBackground(
+        context,
+        image.resource,
+        position,
+        {
+          x: (vertical ? borderY : borderX) + this.options.width / 2,
+          y: (vertical ? borderX : borderY) + this.options.height / 2,
+          size: Math.sqrt(width * width + height * height) / scaleFactor,
+        },
+        background,
+        scaleFactor
+      )
+
+      context.restore()
+    }
+  }
+
+  calculatePosition(image, border) {
+    image = image || this.state.image
+
+    const [borderX, borderY] = this.getBorders(border)
+
+    const croppingRect = this.getCroppingRect()
+    const scale = this.getScale() * this.getCoverScale()
+    const width = image.width * scale
+    const height = image.height * scale
+
+    let x = -croppingRect.x * width
+    let y = -croppingRect.y * height
+
+    if (this.isVertical()) {
+      x += borderY
+      y += borderX
+    } else {
+      x += borderX
+      y += borderY
+    }
+
+    return {
+      x,
+      y,
+      height,
+      width,
+    }
+  }
+
+  paint(context) {
+    context.save()
+    context.scale(pixelRatio, pixelRatio)
+    context.translate(0, 0)
+
+    const dimensions = this.getDimensions()
+    const [borderSizeX, borderSizeY] = this.getBorders(dimensions.border)
+    const height = dimensions.canvas.height
+    const width = dimensions.canvas.width
+    context.fillStyle = getOverlayFill(
+      context,
+      this.options.color,
+      width,
+      height
+    )
+
+    context.beginPath()
+    // inner shape, a possibly rounded rect by default
+    drawShape(context, this.options.shape, this.getShapeBox())
+    context.rect(width, 0, -width, height) // outer rect, drawn "counterclockwise"
+    context.fill('evenodd')
+
+    const outline = this.options.outline
+    if (outline && outline.width > 0) {
+      context.save()
+      context.lineWidth = outline.width
+      context.strokeStyle = outline.color || '#ffffff'
+      context.setLineDash(outline.dash || [])
+      context.beginPath()
+      drawShape(context, this.options.shape, this.getShapeBox())
+      context.stroke()
+      context.restore()
+    }
+
+    // guides only live on the editor canvas, exports never go through paint
+    const guides = this.options.guides
+    if (guides && (!guides.onlyWhileDragging || this.state.drag)) {
+      drawGuides(context, this.getShapeBox(), guides)
+    }
+
+    const { showResolutionBadge } = this.options
+    const resolution = showResolutionBadge && this.getEffectiveResolution()
+    if (resolution) {
+      drawResolutionBadge(
+        context,
+        this.getShapeBox(),
+        resolution.level,
+        typeof showResolutionBadge === 'object' ? showResolutionBadge : {}
+      )
+    }
+
+    drawPrintMarks(
+      context,
+      {
+        x: borderSizeX,
+        y: borderSizeY,
+        width: width - borderSizeX * 2,
+        height: height - borderSizeY * 2,
+      },
+      { width, height },
+      this.options.printMarks
+    )
+
+    context.restore()
+  }
+
+  // Paints a blurred copy of the image beneath the overlay, outside of the
+  // cropping shape. Called between paint and paintImage, as both draw the
+  // image beneath what is already on the canvas.
+  paintBackdrop(context) {
+    if (!this.options.overlayBlur || !this.state.image.resource) {
+      return
+    }
+
+    const { canvas } = this.getDimensions()
+
+    context.save()
+    context.scale(pixelRatio, pixelRatio)
+    context.beginPath()
+    drawShape(context, this.options.shape, this.getShapeBox())
+    context.rect(canvas.width, 0, -canvas.width, canvas.height)
+    context.clip('evenodd')
+    context.setTransform(1, 0, 0, 1, 0, 0)
+    context.filter = `blur(${this.options.overlayBlur * pixelRatio}px)`
+    this.paintImage(context, this.state.image, this.options.border)
+    context.restore()
+  }
+
+  handleMouseDown = e => {
+    e = e || window.event
+    // if e is a touch event, preventDefault keeps
+    // corresponding mouse events from also being fired
+    // later.
+    e.preventDefault()
+    this.setState({
+      drag: true,
+      mx: null,
+      my: null,
+      pinch: null,
+    })
+  }
+  handleMouseUp = e => {
+    if (!this.state.drag) {
+      return
+    }
+    // lifting one finger of a pinch keeps dragging with the remaining one
+    if (e && e.targetTouches && e.targetTouches.length > 0) {
+      this.setState({ pinch: null, mx: null, my: null })
+      return
+    }
+    this.historyPending = true
+    this.setState({ drag: false, pinch: null })
+    this.options.onMouseUp()
+  }
+
+  handlePinch = e => {
+    const gesture = getTouchGesture(e.targetTouches[0], e.targetTouches[1])
+    const { pinch } = this.state
+
+    // the first frame only records where the gesture started, the zoom of
+    // every following frame is applied relative to it to avoid drifting.
+    if (!pinch || pinch.distance === 0) {
+      this.setState({
+        pinch: {
+          ...gesture,
+          scale: this.getScale(),
+          rotate: this.getRotate(),
+          twist: 0,
+        },
+        mx: null,
+        my: null,
+      })
+      return
+    }
+
+    // angles wrap around at 180 degrees: unwrapping each frame against the
+    // previous one lets twists go past half a turn without jumping
+    let delta = gesture.angle - pinch.angle
+    if (delta > 180) {
+      delta -= 360
+    } else if (delta < -180) {
+      delta += 360
+    }
+    const twist = pinch.twist + delta
+
+    const scale = this.clampScale(
+      pinch.scale * (gesture.distance / pinch.distance)
+    )
+    const rotate = pinch.rotate + twist
+
+    this.setState({
+      scale,
+      rotate,
+      pinch: { ...pinch, angle: gesture.angle, twist },
+    })
+    this.options.onScaleChange(scale)
+    this.options.onRotateChange(rotate)
+    this.options.onMouseMove(e)
+  }
+
+  handleMouseMove = e => {
+    e = e || window.event
+    if (this.state.drag === false) {
+      return
+    }
+
+    e.preventDefault() // stop scrolling on iOS Safari
+
+    if (e.targetTouches && e.targetTouches.length > 1) {
+      this.handlePinch(e)
+      return
+    }
+
+    const mousePositionX = e.targetTouches
+      ? e.targetTouches[0].pageX
+      : e.clientX
+    const mousePositionY = e.targetTouches
+      ? e.targetTouches[0].pageY
+      : e.clientY
+
+    const newState = {
+      mx: mousePositionX,
+      my: mousePositionY,
+    }
+
+    if (this.state.mx && this.state.my) {
+      const position = this.getDraggedPosition(
+        this.state.mx - mousePositionX,
+        this.state.my - mousePositionY
+      )
+
+      this.options.onPositionChange(position)
+
+      newState.image = {
+        ...this.state.image,
+        ...position,
+      }
+    }
+
+    this.setState(newState)
+
+    this.options.onMouseMove(e)
+  }
+
+  /**
+   * Calculates the position after dragging the image on screen.
+   * @param {number} mx [horizontal distance from the current to the previous pointer position]
+   * @param {number} my [vertical distance from the current to the previous pointer position]
+   */
+  getDraggedPosition(mx, my) {
+    let rotate = this.getRotate()
+
+    rotate %= 360
+    rotate = rotate < 0 ? rotate + 360 : rotate
+
+    const scale = this.getScale() * this.getCoverScale()
+    const width = this.state.image.width * scale
+    const height = this.state.image.height * scale
+
+    let { x: lastX, y: lastY } = this.getCroppingRect()
+
+    lastX *= width
+    lastY *= height
+
+    // helpers to calculate vectors
+    const cos = Math.cos(toRadians(rotate))
+    const sin = Math.sin(toRadians(rotate))
+
+    // the image is mirrored before being rotated, so undo it last
+    const flip = this.getFlipScale()
+
+    const x = lastX + (mx * cos + my * sin) * flip.x
+    const y = lastY + (-mx * sin + my * cos) * flip.y
+
+    const relativeWidth = (1 / scale) * this.getXScale()
+    const relativeHeight = (1 / scale) * this.getYScale()
+
+    return {
+      x: x / width + relativeWidth / 2,
+      y: y / height + relativeHeight / 2,
+    }
+  }
+
+  handleKeyDown = e => {
+    if (!this.state.image.resource || e.altKey) {
+      return
+    }
+
+    if ((e.ctrlKey || e.metaKey) && (e.key === 'z' || e.key === 'Z')) {
+      e.preventDefault()
+      if (e.shiftKey) {
+        this.redo()
+      } else {
+        this.undo()
+      }
+      return
+    }
+
+    if (e.ctrlKey || e.metaKey) {
+      return
+    }
+
+    const panStep = e.shiftKey ? KEYBOARD_PAN_STEP_LARGE : KEYBOARD_PAN_STEP
+    const pan = {
+      ArrowLeft: [panStep, 0],
+      ArrowRight: [-panStep, 0],
+      ArrowUp: [0, panStep],
+      ArrowDown: [0, -panStep],
+    }[e.key]
+
+    if (pan) {
+      e.preventDefault()
+      const position = this.getDraggedPosition(pan[0], pan[1])
+      this.reportChanges(() => {
+        this.historyPending = true
+        this.setState({
+          image: {
+            ...this.state.image,
+            ...position,
+          },
+        })
+        this.options.onPositionChange(position)
+      })
+      this.announce({ position })
+    } else if (['+', '=', '-', '_'].indexOf(e.key) !== -1) {
+      e.preventDefault()
+      const factor =
+        e.key === '-' || e.key === '_'
+          ? 1 / KEYBOARD_ZOOM_FACTOR
+          : KEYBOARD_ZOOM_FACTOR
+      const scale = this.clampScale(this.getScale() * factor)
+      this.reportChanges(() => {
+        this.historyPending = true
+        this.setState({ scale })
+        this.options.onScaleChange(scale)
+      })
+      this.announce({ scale })
+    } else if (e.key === '[' || e.key === ']') {
+      e.preventDefault()
+      const rotate =
+        this.getRotate() +
+        (e.key === '[' ? -KEYBOARD_ROTATE_STEP : KEYBOARD_ROTATE_STEP)
+      this.reportChanges(() => {
+        this.historyPending = true
+        this.setState({ rotate })
+        this.options.onRotateChange(rotate)
+      })
+      this.announce({ rotate })
+    }
+  }
+
+  // Updates the live region read out by screen readers. Changes made with
+  // the keyboard are not yet reflected in the props, hence the overrides.
+  announce({
+    position = this.getPosition(),
+    scale = this.getScale(),
+    rotate = this.getRotate(),
+  }) {
+    this.setState({
+      announcement: this.options.formatAnnouncement({
+        x: position.x,
+        y: position.y,
+        scale,
+        rotate,
+      }),
+    })
+  }
+
+  handleWheel = e => {
+    if (!this.options.enableWheelZoom || !this.state.image.resource) {
+      return
+    }
+
+    e.preventDefault()
+
+    const deltaY = e.deltaMode === 1 ? e.deltaY * WHEEL_LINE_HEIGHT : e.deltaY
+    const speed = e.ctrlKey ? PINCH_ZOOM_SPEED : WHEEL_ZOOM_SPEED
+    const scale = this.clampScale(this.getScale() * Math.exp(-deltaY * speed))
+    const position = this.getZoomAnchoredPosition(scale, e.clientX, e.clientY)
+
+    // a burst of wheel events is a single step, it is recorded once they stop
+    clearTimeout(this.wheelHistoryTimeout)
+    this.wheelHistoryTimeout = setTimeout(() => {
+      this.wheelHistoryTimeout = null
+      this.historyPending = false
+      this.commitHistory()
+    }, WHEEL_HISTORY_DELAY)
+
+    this.reportChanges(() => {
+      this.setState({
+        scale,
+        image: {
+          ...this.state.image,
+          ...position,
+        },
+      })
+      this.options.onScaleChange(scale)
+      this.options.onPositionChange(position)
+    })
+  }
+
+  /**
+   * Calculates the position that keeps the image point under the given
+   * client coordinates in place once the image is zoomed to `scale`.
+   * @param {number} scale [the new scale]
+   * @param {number} clientX [x pos of the anchor in client coordinates]
+   * @param {number} clientY [y pos of the anchor in client coordinates]
+   */
+  getZoomAnchoredPosition(scale, clientX, clientY) {
+    const bounds = this.canvas.getBoundingClientRect()
+    const dimensions = this.getDimensions()
+
+    // offset of the anchor from the center of the cropping area, which is
+    // always the center of the canvas
+    const dx =
+      (clientX - bounds.left) * (dimensions.canvas.width / bounds.width) -
+      dimensions.canvas.width / 2
+    const dy =
+      (clientY - bounds.top) * (dimensions.canvas.height / bounds.height) -
+      dimensions.canvas.height / 2
+
+    // the canvas shows the image mirrored and rotated, bring the offset back
+    // to image axes
+    const cos = Math.cos(toRadians(this.getRotate()))
+    const sin = Math.sin(toRadians(this.getRotate()))
+    const flip = this.getFlipScale()
+    const offsetX = (dx * cos + dy * sin) * flip.x
+    const offsetY = (-dx * sin + dy * cos) * flip.y
+
+    const { width, height } = this.state.image
+    const currentRect = this.getCroppingRect()
+    const coverScale = this.getCoverScale()
+    const currentScale = this.getScale() * coverScale
+
+    const position = {
+      x:
+        currentRect.x +
+        currentRect.width / 2 +
+        (offsetX / width) * (1 / currentScale - 1 / (scale * coverScale)),
+      y:
+        currentRect.y +
+        currentRect.height / 2 +
+        (offsetY / height) * (1 / currentScale - 1 / (scale * coverScale)),
+    }
+
+    // run the result through the regular boundary checks
+    const rect = this.getCroppingRect(position, scale)
+
+    return {
+      x: rect.x + rect.width / 2,
+      y: rect.y + rect.height / 2,
+    }
+  }
+}
+
+const createAvatarEditor = (canvas, options) =>
+  new AvatarEditorCore(canvas, options)
+
+export default createAvatarEditor
@@ -0,0 +1,922 @@
+/* eslint-env browser, jest */
+
+import createAvatarEditor, { getCanvasSize } from './core'
+import {
+  createCanvas,
+  createContext,
+  flush,
+  mockImage,
+} from './test-utils/canvas'
+import { ascii, png, pngChunk } from './test-utils/image-files'
+
+describe('createAvatarEditor', () => {
+  let editor
+
+  afterEach(() => {
+    editor.destroy()
+  })
+
+  it('sizes the canvas for the cropping area and its border', () => {
+    const canvas = createCanvas()
+    editor = createAvatarEditor(canvas, { width: 100, height: 50, border: 10 })
+
+    expect([canvas.width, canvas.height]).toEqual([120, 70])
+    expect(canvas.style).toMatchObject({
+      width: '120px',
+      height: '70px',
+      cursor: 'grab',
+    })
+  })
+
+  it('turns the canvas size with vertical rotations', () => {
+    const options = { width: 100, height: 50, border: [10, 5] }
+
+    expect(getCanvasSize(options)).toEqual({
+      width: 120,
+      height: 60,
+      pixelWidth: 120,
+      pixelHeight: 60,
+    })
+    expect(getCanvasSize(options, 90)).toMatchObject({ width: 70, height: 110 })
+  })
+
+  it('keeps the attributes already set on the canvas', () => {
+    const canvas = createCanvas({ 'aria-label': 'Crop your photo' })
+    editor = createAvatarEditor(canvas)
+
+    expect(canvas.attributes).toMatchObject({
+      'aria-label': 'Crop your photo',
+      role: 'application',
+      tabindex: '0',
+    })
+    expect(canvas.appendChild).toHaveBeenCalledWith(editor.liveRegion)
+  })
+
+  it('takes the accessible texts from the options', () => {
+    const canvas = createCanvas()
+    editor = createAvatarEditor(canvas, {
+      ariaLabel: 'Éditeur d’image',
+      ariaRoleDescription: 'recadrage',
+    })
+
+    expect(canvas.attributes).toMatchObject({
+      'aria-label': 'Éditeur d’image',
+      'aria-roledescription': 'recadrage',
+    })
+
+    editor.setOptions({ ariaLabel: 'Bildeditor' })
+
+    expect(canvas.attributes['aria-label']).toBe('Bildeditor')
+    expect(canvas.attributes['aria-roledescription']).toBe('image cropper')
+  })
+
+  it('prefers the attributes set on the canvas to the options', () => {
+    const canvas = createCanvas({ 'aria-label': 'Crop your photo' })
+    editor = createAvatarEditor(canvas, { ariaLabel: 'Bildeditor' })
+
+    expect(canvas.attributes['aria-label']).toBe('Crop your photo')
+  })
+
+  it('updates the canvas when options change', () => {
+    const canvas = createCanvas()
+    editor = createAvatarEditor(canvas, { width: 100, height: 100 })
+
+    editor.setOptions({ width: 200, height: 100, style: { cursor: 'move' } })
+
+    expect([canvas.width, canvas.height]).toEqual([250, 150])
+    expect(canvas.style.cursor).toBe('move')
+  })
+
+  it('resets left out options to their defaults', () => {
+    editor = createAvatarEditor(createCanvas(), { border: 0, scale: 2 })
+
+    editor.setOptions({ border: 0 })
+
+    expect(editor.options.scale).toBeUndefined()
+    expect(editor.options.width).toBe(200)
+  })
+
+  it('stops listening to events once destroyed', () => {
+    const canvas = createCanvas()
+    editor = createAvatarEditor(canvas)
+    const listeners = canvas.addEventListener.mock.calls.map(([type]) => type)
+
+    editor.destroy()
+    editor = { destroy() {} }
+
+    expect(canvas.removeEventListener.mock.calls.map(([type]) => type)).toEqual(
+      listeners
+    )
+    expect(canvas.removeChild).toHaveBeenCalled()
+  })
+
+  describe('face detection', () => {
+    let restoreImage, resolveFaces, canvas
+
+    beforeEach(() => {
+      restoreImage = mockImage(400, 200)
+      canvas = createCanvas()
+      editor = createAvatarEditor(canvas, {
+        image: 'photo.jpg',
+        width: 100,
+        height: 100,
+        detectFaces: () =>
+          new Promise(resolve => {
+            resolveFaces = resolve
+          }),
+        onFacesDetected: jest.fn(),
+      })
+      return flush()
+    })
+
+    afterEach(() => {
+      restoreImage()
+    })
+
+    const face = { x: 300, y: 20, width: 40, height: 40 }
+
+    it('centers the image on the faces found', () => {
+      resolveFaces([face])
+
+      return flush().then(() => {
+        expect(editor.getScale()).toBeGreaterThan(1)
+        expect(editor.getPosition().x).toBeCloseTo(0.8)
+      })
+    })
+
+    it('keeps the view when the user moved the image meanwhile', () => {
+      canvas.dispatch('keydown', { key: 'ArrowLeft' })
+      const position = editor.getPosition()
+
+      resolveFaces([face])
+
+      return flush().then(() => {
+        expect(editor.options.onFacesDetected).toHaveBeenCalled()
+        expect(editor.getScale()).toBe(1)
+        expect(editor.getPosition()).toEqual(position)
+      })
+    })
+  })
+
+  describe('exporting', () => {
+    const realCreateElement = document.createElement
+    let restoreImage, encoded
+
+    beforeEach(() => {
+      restoreImage = mockImage(400, 200)
+      // export canvases encode to `encoded`
+      document.createElement = jest.fn(tagName => {
+        if (tagName !== 'canvas') {
+          return realCreateElement.call(document, tagName)
+        }
+        const canvas = {
+          toBlob: (callback, type) =>
+            callback(new Blob([new Uint8Array(encoded)], { type })),
+        }
+        canvas.getContext = () => createContext(canvas)
+        return canvas
+      })
+      editor = createAvatarEditor(createCanvas(), { image: 'photo.jpg' })
+      return flush()
+    })
+
+    afterEach(() => {
+      document.createElement = realCreateElement
+      restoreImage()
+    })
+
+    const readBytes = blob =>
+      new Promise(resolve => {
+        const reader = new FileReader()
+        reader.onload = () => resolve(Array.from(new Uint8Array(reader.result)))
+        reader.readAsArrayBuffer(blob)
+      })
+
+    it('strips the color profile browsers embed in exports', () => {
+      encoded = png(pngChunk('iCCP', ascii('sRGB\0')))
+
+      return editor
+        .getImageBlob()
+        .then(readBytes)
+        .then(bytes => {
+          expect(bytes).toEqual(png([]))
+        })
+    })
+
+    it('returns exports without metadata as encoded', () => {
+      encoded = png([])
+
+      return editor
+        .exportImage()
+        .then(readBytes)
+        .then(bytes => {
+          expect(bytes).toEqual(encoded)
+        })
+    })
+
+    it('rejects exports until an image is loaded', () => {
+      editor.setOptions({ image: null })
+      const rejected = promise =>
+        promise.then(
+          () => Promise.reject(new Error('resolved')),
+          e => e
+        )
+
+      return Promise.all([
+        rejected(editor.getImageBlob()),
+        rejected(editor.exportImage()),
+        rejected(editor.exportPrintImage({ width: 50, height: 50 })),
+      ]).then(errors => {
+        errors.forEach(error => expect(error).toBeInstanceOf(TypeError))
+      })
+    })
+  })
+
+  describe('history', () => {
+    let restoreImage
+
+    beforeEach(() => {
+      restoreImage = mockImage(400, 200)
+    })
+
+    afterEach(() => {
+      restoreImage()
+    })
+
+    it('undoes and redoes flips, reporting them to the host', () => {
+      // a host keeping the flips as options
+      const onFlipChange = jest.fn(flips =>
+        editor.setOptions({ ...editor.options, ...flips })
+      )
+      editor = createAvatarEditor(createCanvas(), {
+        image: 'photo.jpg',
+        onFlipChange,
+      })
+
+      return flush().then(() => {
+        editor.setOptions({ ...editor.options, flipHorizontal: true })
+        editor.undo()
+
+        expect(onFlipChange).toHaveBeenLastCalledWith({
+          flipHorizontal: false,
+          flipVertical: false,
+        })
+        expect(editor.getCroppingRect().flipHorizontal).toBe(false)
+        expect(editor.canRedo()).toBe(true)
+
+        editor.redo()
+
+        expect(editor.getCroppingRect().flipHorizontal).toBe(true)
+      })
+    })
+
+    describe('with a host passing every change back as options', () => {
+      beforeEach(() => {
+        const setOption = key => value =>
+          editor.setOptions({ ...editor.options, [key]: value })
+        editor = createAvatarEditor(createCanvas(), {
+          image: 'photo.jpg',
+          enableWheelZoom: true,
+          onPositionChange: setOption('position'),
+          onScaleChange: setOption('scale'),
+          onRotateChange: setOption('rotate'),
+          onFlipChange: flips =>
+            editor.setOptions({ ...editor.options, ...flips }),
+        })
+        return flush()
+      })
+
+      afterEach(() => {
+        jest.useRealTimers()
+      })
+
+      it('keeps the undone steps to redo them', () => {
+        editor.setOptions({
+          ...editor.options,
+          position: { x: 0.3, y: 0.5 },
+          scale: 2,
+        })
+        editor.undo()
+
+        expect(editor.getScale()).toBe(1)
+        expect(editor.canRedo()).toBe(true)
+
+        editor.redo()
+
+        expect(editor.getScale()).toBe(2)
+        expect(editor.getPosition()).toEqual({ x: 0.3, y: 0.5 })
+      })
+
+      it('records a wheel zoom as a single step', () => {
+        editor.setOptions({ ...editor.options, position: { x: 0.5, y: 0.5 } })
+        jest.useFakeTimers()
+        editor.canvas.dispatch('wheel', {
+          deltaY: -100,
+          clientX: 50,
+          clientY: 50,
+        })
+
+        expect(editor.getScale()).toBeGreaterThan(1)
+        expect(editor.canUndo()).toBe(false)
+
+        jest.runAllTimers()
+        editor.undo()
+
+        expect(editor.getScale()).toBe(1)
+        expect(editor.canUndo()).toBe(false)
+      })
+    })
+  })
+
+  describe('initial placement', () => {
+    let restoreImage, options
+
+    // a 400 by 200 image in the default 200 by 200 cropping area
+    const load = placement => {
+      options = {
+        image: 'photo.jpg',
+        onScaleChange: jest.fn(),
+        onPositionChange: jest.fn(),
+        ...placement,
+      }
+      editor = createAvatarEditor(createCanvas(), options)
+      return flush()
+    }
+
+    beforeEach(() => {
+      restoreImage = mockImage(400, 200)
+    })
+
+    afterEach(() => {
+      restoreImage()
+    })
+    ;[
+      ['contain', 0, 0.5],
+      ['fill-width', 0, 0.5],
+      ['fill-height', 0, 1],
+      ['contain', 90, 0.5],
+      ['fill-width', 90, 1],
+      ['fill-height', 90, 0.5],
+    ].forEach(([initialFit, rotate, scale]) => {
+      it(`zooms to ${scale} to ${initialFit} at ${rotate} degrees`, () =>
+        load({ initialFit, rotate }).then(() => {
+          expect(editor.getScale()).toBe(scale)
+        }))
+    })
+
+    it('reports the fitted scale', () =>
+      load({ initialFit: 'contain' }).then(() => {
+        expect(options.onScaleChange).toHaveBeenCalledWith(0.5)
+      }))
+
+    it('keeps the fitted scale above minScale', () =>
+      load({ initialFit: 'contain', minScale: 0.8 }).then(() => {
+        expect(editor.getScale()).toBe(0.8)
+        expect(options.onScaleChange).toHaveBeenCalledWith(0.8)
+      }))
+
+    it('keeps the fitted scale below maxScale', () =>
+      load({ initialFit: 'fill-height', maxScale: 0.7 }).then(() => {
+        expect(editor.getScale()).toBe(0.7)
+        expect(options.onScaleChange).toHaveBeenCalledWith(0.7)
+      }))
+
+    it('keeps an initialPosition within the image and reports it', () =>
+      load({ initialPosition: { x: 0, y: 0.5 } }).then(() => {
+        // the cropping area spans half of the image width
+        expect(editor.getPosition()).toEqual({ x: 0.25, y: 0.5 })
+        expect(options.onPositionChange).toHaveBeenCalledWith({
+          x: 0.25,
+          y: 0.5,
+        })
+        expect(options.onScaleChange).not.toHaveBeenCalled()
+      }))
+  })
+
+  describe('saving and resuming', () => {
+    let restoreImage, saved
+
+    // saves a view zoomed in, rotated, flipped and moved to the left
+    beforeEach(() => {
+      restoreImage = mockImage(400, 200)
+      const canvas = createCanvas()
+      editor = createAvatarEditor(canvas, {
+        image: 'photo.jpg',
+        width: 200,
+        height: 100,
+      })
+
+      return flush().then(() => {
+        ;['+', '+', ']', 'ArrowLeft'].forEach(key =>
+          canvas.dispatch('keydown', { key })
+        )
+        editor.restoreState({ ...editor.getState(), flipHorizontal: true })
+        saved = JSON.parse(JSON.stringify(editor.getState()))
+        editor.destroy()
+      })
+    })
+
+    afterEach(() => {
+      restoreImage()
+    })
+
+    const expectRect = (actual, expected) => {
+      ;['x', 'y', 'width', 'height'].forEach(key => {
+        expect(actual[key]).toBeCloseTo(expected[key], 5)
+      })
+    }
+
+    it('describes the view and the image', () => {
+      expect(saved).toMatchObject({
+        source: { url: 'photo.jpg', width: 400, height: 200 },
+        rotate: 90,
+        flipHorizontal: true,
+        flipVertical: false,
+        editor: { width: 200, height: 100, border: 25 },
+      })
+      expect(saved.scale).toBeGreaterThan(1)
+    })
+
+    it('restores the cropping rectangle in an editor of another size', () => {
+      editor = createAvatarEditor(createCanvas(), {
+        image: 'photo.jpg',
+        width: 300,
+        height: 150,
+      })
+
+      return flush().then(() => {
+        editor.restoreState(saved)
+
+        expectRect(editor.getCroppingRect(), saved.croppingRect)
+        expect(editor.getState()).toMatchObject({
+          rotate: 90,
+          flipHorizontal: true,
+          editor: { width: 300, height: 150 },
+        })
+      })
+    })
+
+    it('shows at least the saved area when the aspect ratio changed', () => {
+      editor = createAvatarEditor(createCanvas(), {
+        image: 'photo.jpg',
+        width: 100,
+        height: 100,
+      })
+
+      return flush().then(() => {
+        editor.restoreState(saved)
+        const rect = editor.getCroppingRect()
+        const savedRect = saved.croppingRect
+
+        expect(rect.width).toBeCloseTo(savedRect.width, 5)
+        expect(rect.height).toBeGreaterThan(savedRect.height)
+        expect(rect.y + rect.height / 2).toBeCloseTo(
+          savedRect.y + savedRect.height / 2,
+          5
+        )
+      })
+    })
+
+    it('waits for the image to load', () => {
+      editor = createAvatarEditor(createCanvas(), {
+        image: 'photo.jpg',
+        width: 200,
+        height: 100,
+      })
+      editor.restoreState(saved)
+
+      expect(editor.getState()).toBeNull()
+
+      return flush().then(() => {
+        expectRect(editor.getCroppingRect(), saved.croppingRect)
+        expect(editor.getState().flipHorizontal).toBe(true)
+      })
+    })
+
+    it('restores the initialState of the first image', () => {
+      const onFlipChange = jest.fn()
+      editor = createAvatarEditor(createCanvas(), {
+        image: 'photo.jpg',
+        width: 200,
+        height: 100,
+        initialState: saved,
+        onFlipChange,
+      })
+
+      return flush().then(() => {
+        expectRect(editor.getCroppingRect(), saved.croppingRect)
+        expect(onFlipChange).toHaveBeenCalledWith({
+          flipHorizontal: true,
+          flipVertical: false,
+        })
+      })
+    })
+
+    it('keeps restored flips in the state when they are not options', () => {
+      editor = createAvatarEditor(createCanvas(), { image: 'photo.jpg' })
+
+      return flush().then(() => {
+        editor.restoreState(saved)
+        editor.undo()
+
+        expect(editor.getState().flipHorizontal).toBe(false)
+        editor.redo()
+        expect(editor.getState().flipHorizontal).toBe(true)
+      })
+    })
+  })
+
+  describe('loading', () => {
+    let restoreImage, options
+
+    beforeEach(() => {
+      restoreImage = mockImage(400, 200, ['broken.jpg'])
+      options = {
+        onLoadSuccess: jest.fn(),
+        onLoadFailure: jest.fn(),
+        onImageReady: jest.fn(),
+      }
+    })
+
+    afterEach(() => {
+      restoreImage()
+    })
+
+    it('ignores loads pending when destroyed', () => {
+      const canvas = createCanvas()
+      editor = createAvatarEditor(canvas, { ...options, image: 'photo.jpg' })
+      editor.destroy()
+      canvas.context.drawImage.mockClear()
+
+      return flush().then(() => {
+        expect(options.onLoadSuccess).not.toHaveBeenCalled()
+        expect(options.onImageReady).not.toHaveBeenCalled()
+        expect(canvas.context.drawImage).not.toHaveBeenCalled()
+      })
+    })
+
+    it('does not report canceled loads as failures', () => {
+      editor = createAvatarEditor(createCanvas(), {
+        ...options,
+        image: 'broken.jpg',
+      })
+      editor.destroy()
+
+      return flush().then(() => {
+        expect(options.onLoadFailure).not.toHaveBeenCalled()
+      })
+    })
+
+    it('ignores the result of superseded loads', () => {
+      editor = createAvatarEditor(createCanvas(), {
+        ...options,
+        image: 'broken.jpg',
+      })
+      editor.setOptions({ ...options, image: 'photo.jpg' })
+
+      return flush().then(() => {
+        expect(options.onLoadFailure).not.toHaveBeenCalled()
+        expect(options.onLoadSuccess).toHaveBeenCalledTimes(1)
+      })
+    })
+  })
+
+  describe('interactions', () => {
+    let restoreImage, canvas, options
+
+    // pointer moves and releases are listened to on the document
+    const dispatch = (type, props) =>
+      document.dispatchEvent(Object.assign(new Event(type), props))
+    const touches = (...points) =>
+      points.map(([pageX, pageY]) => ({ pageX, pageY }))
+
+    beforeEach(() => {
+      restoreImage = mockImage(400, 200)
+      canvas = createCanvas()
+      options = {
+        image: 'photo.jpg',
+        onPositionChange: jest.fn(),
+        onScaleChange: jest.fn(),
+        onRotateChange: jest.fn(),
+        onMouseUp: jest.fn(),
+        onImageChange: jest.fn(),
+        onLoadSuccess: jest.fn(),
+      }
+      editor = createAvatarEditor(canvas, options)
+      return flush()
+    })
+
+    afterEach(() => {
+      restoreImage()
+    })
+
+    it('moves the image along with the pointer', () => {
+      canvas.dispatch('mousedown')
+      dispatch('mousemove', { clientX: 100, clientY: 100 })
+      dispatch('mousemove', { clientX: 80, clientY: 100 })
+      dispatch('mouseup')
+
+      // 20 pixels of the image, displayed 400 pixels wide
+      expect(editor.getPosition().x).toBeCloseTo(0.55)
+      expect(options.onPositionChange).toHaveBeenCalledTimes(1)
+      expect(options.onMouseUp).toHaveBeenCalled()
+      expect(canvas.style.cursor).toBe('grab')
+      expect(editor.canUndo()).toBe(true)
+    })
+
+    it('ignores pointer moves without a press', () => {
+      dispatch('mousemove', { clientX: 100, clientY: 100 })
+      dispatch('mousemove', { clientX: 80, clientY: 100 })
+
+      expect(options.onPositionChange).not.toHaveBeenCalled()
+    })
+
+    it('zooms and twists with two fingers', () => {
+      canvas.dispatch('mousedown')
+      dispatch('mousemove', { targetTouches: touches([0, 0], [100, 0]) })
+      dispatch('mousemove', { targetTouches: touches([0, 0], [200, 0]) })
+
+      expect(editor.getScale()).toBeCloseTo(2)
+
+      dispatch('mousemove', { targetTouches: touches([0, 0], [0, 200]) })
+
+      expect(editor.getRotate()).toBeCloseTo(90)
+      expect(options.onRotateChange).toHaveBeenLastCalledWith(
+        editor.getRotate()
+      )
+    })
+
+    it('keeps twisting past half a turn', () => {
+      const fingersAt = angle => {
+        const radians = (angle * Math.PI) / 180
+        return touches(
+          [0, 0],
+          [100 * Math.cos(radians), 100 * Math.sin(radians)]
+        )
+      }
+
+      canvas.dispatch('mousedown')
+      ;[0, 90, 170, 190, 270].forEach(angle =>
+        dispatch('mousemove', { targetTouches: fingersAt(angle) })
+      )
+
+      expect(editor.getRotate()).toBeCloseTo(270)
+      expect(editor.getScale()).toBeCloseTo(1)
+    })
+
+    it('moves, zooms and rotates with the keyboard', () => {
+      canvas.dispatch('keydown', { key: 'ArrowLeft' })
+
+      expect(editor.getPosition().x).toBeCloseTo(0.525)
+
+      canvas.dispatch('keydown', { key: '+' })
+      canvas.dispatch('keydown', { key: ']' })
+
+      expect(options.onScaleChange).toHaveBeenCalledWith(1.1)
+      expect(options.onRotateChange).toHaveBeenCalledWith(90)
+      expect(editor.liveRegion.textContent).toBe(
+        'Position 53% horizontally, 50% vertically. Zoom 110%. Rotation 90 degrees.'
+      )
+    })
+
+    it('announces changes with formatAnnouncement', () => {
+      editor.setOptions({
+        ...options,
+        formatAnnouncement: ({ scale }) => `Zoom ${scale.toFixed(1)}`,
+      })
+
+      canvas.dispatch('keydown', { key: '+' })
+
+      expect(editor.liveRegion.textContent).toBe('Zoom 1.1')
+    })
+
+    it('repaints when options change', () => {
+      canvas.context.drawImage.mockClear()
+      options.onImageChange.mockClear()
+
+      editor.setOptions({ ...options, scale: 1.5 })
+
+      expect(canvas.context.drawImage).toHaveBeenCalled()
+      expect(options.onImageChange).toHaveBeenCalled()
+      expect(editor.getScale()).toBe(1.5)
+    })
+
+    describe('with the wheel', () => {
+      const wheel = event => {
+        const preventDefault = jest.fn()
+        canvas.dispatch('wheel', {
+          clientX: canvas.width / 2,
+          clientY: canvas.height / 2,
+          ...event,
+          preventDefault,
+        })
+        return preventDefault
+      }
+
+      // the point of the image, relative to its size, painted at the given
+      // point of the canvas: its offset from the canvas center, which is the
+      // center of the cropping area, taken back through the rotation and
+      // the flips
+      const imagePointAt = (x, y) => {
+        const rect = editor.getCroppingRect()
+        const radians = (editor.getRotate() * Math.PI) / 180
+        const cos = Math.cos(radians)
+        const sin = Math.sin(radians)
+        const { flipHorizontal, flipVertical } = editor.getFlip()
+        const scale = editor.getScale() * editor.getCoverScale()
+        const dx = x - canvas.width / 2
+        const dy = y - canvas.height / 2
+
+        return {
+          x:
+            rect.x +
+            rect.width / 2 +
+            ((dx * cos + dy * sin) * (flipHorizontal ? -1 : 1)) /
+              (editor.state.image.width * scale),
+          y:
+            rect.y +
+            rect.height / 2 +
+            ((-dx * sin + dy * cos) * (flipVertical ? -1 : 1)) /
+              (editor.state.image.height * scale),
+        }
+      }
+
+      ;[
+        { rotate: 0 },
+        { rotate: 30 },
+        { rotate: 90 },
+        { flipHorizontal: true, flipVertical: true },
+        { rotate: 30, flipHorizontal: true },
+      ].forEach(view => {
+        it(`keeps the point under the cursor in place, ${JSON.stringify(
+          view
+        )}`, () => {
+          editor.setOptions({ ...options, ...view, enableWheelZoom: true })
+          // zoomed in on the center first, to leave room around the anchor
+          wheel({ deltaY: -500 })
+
+          const before = imagePointAt(90, 160)
+          wheel({ deltaY: -100, clientX: 90, clientY: 160 })
+          const after = imagePointAt(90, 160)
+
+          expect(editor.getScale()).toBeCloseTo(Math.exp(1.2))
+          expect(after.x).toBeCloseTo(before.x, 6)
+          expect(after.y).toBeCloseTo(before.y, 6)
+        })
+      })
+
+      it('zooms faster for trackpad pinches, sent with ctrlKey', () => {
+        editor.setOptions({ ...options, enableWheelZoom: true })
+
+        wheel({ deltaY: -10 })
+
+        expect(editor.getScale()).toBeCloseTo(Math.exp(0.02))
+
+        wheel({ deltaY: -10, ctrlKey: true })
+
+        expect(editor.getScale()).toBeCloseTo(Math.exp(0.02 + 0.1))
+      })
+
+      it('counts deltas given in lines as 16 pixels each', () => {
+        editor.setOptions({ ...options, enableWheelZoom: true })
+
+        wheel({ deltaY: -3, deltaMode: 1 })
+
+        expect(editor.getScale()).toBeCloseTo(Math.exp(48 * 0.002))
+      })
+
+      it('lets the page scroll unless enableWheelZoom is set', () => {
+        expect(wheel({ deltaY: -100 })).not.toHaveBeenCalled()
+        expect(options.onScaleChange).not.toHaveBeenCalled()
+
+        editor.setOptions({ ...options, enableWheelZoom: true })
+
+        expect(wheel({ deltaY: -100 })).toHaveBeenCalled()
+      })
+    })
+
+    describe('within the scale limits', () => {
+      const limit = limits => editor.setOptions({ ...options, ...limits })
+
+      it('clamps the scale option', () => {
+        limit({ minScale: 1, maxScale: 2, scale: 3 })
+
+        expect(editor.getScale()).toBe(2)
+
+        limit({ minScale: 1, maxScale: 2, scale: 0.5 })
+
+        expect(editor.getScale()).toBe(1)
+      })
+
+      it('clamps pinch zooms', () => {
+        limit({ maxScale: 1.5 })
+
+        canvas.dispatch('mousedown')
+        dispatch('mousemove', { targetTouches: touches([0, 0], [100, 0]) })
+        dispatch('mousemove', { targetTouches: touches([0, 0], [200, 0]) })
+
+        expect(editor.getScale()).toBe(1.5)
+        expect(options.onScaleChange).toHaveBeenLastCalledWith(1.5)
+      })
+
+      it('clamps wheel zooms', () => {
+        limit({ enableWheelZoom: true, minScale: 0.8, maxScale: 1.2 })
+
+        canvas.dispatch('wheel', { deltaY: -1000, clientX: 100, clientY: 100 })
+
+        expect(editor.getScale()).toBe(1.2)
+
+        canvas.dispatch('wheel', { deltaY: 5000, clientX: 100, clientY: 100 })
+
+        expect(editor.getScale()).toBe(0.8)
+        expect(options.onScaleChange).toHaveBeenLastCalledWith(0.8)
+      })
+
+      it('clamps keyboard zooms', () => {
+        limit({ minScale: 1 })
+
+        canvas.dispatch('keydown', { key: '-' })
+
+        expect(editor.getScale()).toBe(1)
+        expect(options.onScaleChange).toHaveBeenLastCalledWith(1)
+      })
+
+      it('lowers the maximum to keep minOutputResolution pixels', () => {
+        // the cropping area spans 200 of the 400 by 200 pixels at scale 1
+        limit({ minOutputResolution: 100 })
+
+        expect(editor.getScaleLimits()).toEqual({ min: 0, max: 2 })
+
+        // 1.1 to the power of 10 is past 2
+        for (let i = 0; i < 10; i++) {
+          canvas.dispatch('keydown', { key: '+' })
+        }
+
+        expect(editor.getScale()).toBe(2)
+
+        limit({ minOutputResolution: 100, maxScale: 1.5 })
+
+        expect(editor.getScaleLimits().max).toBe(1.5)
+      })
+
+      it('falls back to the minimum when it exceeds the maximum', () => {
+        limit({ minScale: 3, maxScale: 2 })
+
+        expect(editor.getScaleLimits()).toEqual({ min: 3, max: 3 })
+        expect(editor.getScale()).toBe(3)
+
+        limit({ minScale: 3, minOutputResolution: 100 })
+
+        expect(editor.getScaleLimits()).toEqual({ min: 3, max: 3 })
+      })
+    })
+
+    it('reloads the image when the size changes', () => {
+      editor.setOptions({ ...options, width: 300 })
+
+      expect(canvas.width).toBe(350)
+
+      return flush().then(() => {
+        expect(options.onLoadSuccess).toHaveBeenCalledTimes(2)
+        expect(editor.state.image.width).toBe(400)
+      })
+    })
+  })
+
+  describe('resolution', () => {
+    let restoreImage
+
+    beforeEach(() => {
+      restoreImage = mockImage(400, 200)
+    })
+
+    afterEach(() => {
+      restoreImage()
+    })
+
+    it('reports the resolution of every new image', () => {
+      const options = {
+        image: 'photo.jpg',
+        targetResolution: { width: 400, height: 400 },
+        onResolutionChange: jest.fn(),
+      }
+      editor = createAvatarEditor(createCanvas(), options)
+
+      return flush()
+        .then(() => {
+          expect(options.onResolutionChange).toHaveBeenCalledTimes(1)
+
+          // cleared, then replaced by an image of the same size
+          editor.setOptions({ ...options, image: null })
+          editor.setOptions({ ...options, image: 'other.jpg' })
+          return flush()
+        })
+        .then(() => {
+          expect(options.onResolutionChange).toHaveBeenCalledTimes(2)
+          expect(options.onResolutionChange).toHaveBeenLastCalledWith(
+            expect.objectContaining({ ratio: 0.5, level: 'low' })
+          )
+        })
+    })
+  })
+})
@@ -0,0 +1,83 @@
+/* eslint-env browser, jest */
+
+/*
+ * Stand-ins for what jsdom lacks, a 2D canvas context and image
+ * loading, shared by the tests of the editor.
+ */
+
+// a 2D context accepting any call, each method being a jest.fn created on
+// first use, for `canvas`
+export const createContext = (canvas = { width: 0, height: 0 }) =>
+  new Proxy(
+    { canvas },
+    {
+      get: (target, key) =>
+        key in target ? target[key] : (target[key] = jest.fn()),
+    }
+  )
+
+// a canvas element holding `attributes`, remembering its event listeners
+// so that tests can dispatch events to them
+export const createCanvas = (attributes = {}) => {
+  const listeners = {}
+  const canvas = {
+    width: 0,
+    height: 0,
+    attributes: { ...attributes },
+    style: {},
+    listeners,
+    hasAttribute(name) {
+      return name in this.attributes
+    },
+    setAttribute(name, value) {
+      this.attributes[name] = value
+    },
+    appendChild: jest.fn(),
+    removeChild: jest.fn(),
+    addEventListener: jest.fn((type, listener) => {
+      listeners[type] = listener
+    }),
+    removeEventListener: jest.fn((type, listener) => {
+      if (listeners[type] === listener) {
+        delete listeners[type]
+      }
+    }),
+    getBoundingClientRect() {
+      return { left: 0, top: 0, width: this.width, height: this.height }
+    },
+    dispatch(type, event = {}) {
+      listeners[type]({ preventDefault() {}, ...event })
+    },
+  }
+  canvas.context = createContext(canvas)
+  canvas.getContext = () => canvas.context
+  return canvas
+}
+
+/**
+ * Makes images load, asynchronously, with the given size whatever their
+ * source, or fail to when the source is in `failing`. Returns a function
+ * restoring the jsdom Image.
+ * @param {number} width [width of the loaded images]
+ * @param {number} height [height of the loaded images]
+ * @param {string[]} failing [sources failing to load]
+ */
+export const mockImage = (width, height, failing = []) => {
+  const RealImage = global.Image
+  global.Image = class {
+    set src(value) {
+      this.currentSrc = value
+      this.width = width
+      this.height = height
+      setTimeout(() =>
+        failing.indexOf(value) === -1 ? this.onload() : this.onerror(value)
+      )
+    }
+  }
+  return () => {
+    global.Image = RealImage
+  }
+}
+
+// resolves once pending timers and the promises they settle have run
+export const flush = () => new Promise(resolve => setTimeout(resolve, 1))
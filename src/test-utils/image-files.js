@@ -0,0 +1,53 @@
+/*
+ * Builders of minimal JPEG, PNG and WebP files, made of the segments or
+ * chunks given, for the tests of the utils reading them.
+ */
+export const toBuffer = bytes => new Uint8Array(bytes).buffer
+export const ascii = value => [...value].map(c => c.charCodeAt(0))
+
+export const jpegSegment = (marker, payload) => {
+  const length = payload.length + 2
+  return [0xff, marker, length >> 8, length & 0xff, ...payload]
+}
+
+export const pngChunk = (type, data) => [
+  0,
+  0,
+  0,
+  data.length,
+  ...ascii(type),
+  ...data,
+  0,
+  0,
+  0,
+  0,
+]
+
+export const webpChunk = (type, data) => [
+  ...ascii(type),
+  data.length,
+  0,
+  0,
+  0,
+  ...data,
+  ...(data.length % 2 ? [0] : []),
+]
+
+export const jpeg = segments => [0xff, 0xd8, ...segments, 0xff, 0xda, 0, 2]
+export const png = chunks => [
+  0x89,
+  ...ascii('PNG\r\n\x1a\n'),
+  ...pngChunk('IHDR', new Array(13).fill(0)),
+  ...chunks,
+  ...pngChunk('IEND', []),
+]
+export const webp = chunks => [
+  ...ascii('RIFF'),
+  0,
+  0,
+  0,
+  0,
+  ...ascii('WEBP'),
+  ...webpChunk('VP8 ', [1, 2, 3]),
+  ...chunks,
+]
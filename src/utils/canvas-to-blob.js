@@ -0,0 +1,47 @@
+/* eslint-env browser, node */
+
+const dataURLToBlob = dataURL => {
+  const [header, data] = dataURL.split(',')
+  const type = header.replace(/^data:/, '').replace(/;base64$/, '')
+  const binary = atob(data)
+  const bytes = new Uint8Array(binary.length)
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i)
+  }
+  return new Blob([bytes], { type })
+}
+
+/*
+ * Encodes a canvas into a Blob of the given MIME type. Canvas
+ * encoding only keeps pixels, so the Blob never carries over the
+ * EXIF, XMP or ICC data of the source image.
+ * Browsers encode types they don't support (often WebP) as PNG
+ * instead, which rejects rather than resolving with another format.
+ * Falls back to toDataURL where toBlob is missing (older Edge
+ * and Safari versions).
+ */
+const canvasToBlob = (canvas, type, quality) =>
+  new Promise((resolve, reject) => {
+    const check = blob => {
+      if (!blob) {
+        reject(new Error('Canvas could not be encoded'))
+      } else if (blob.type !== type) {
+        reject(
+          new Error(
+            `Canvas could not be encoded as ${type}, the browser only produced ${blob.type}`
+          )
+        )
+      } else {
+        resolve(blob)
+      }
+    }
+
+    if (typeof canvas.toBlob !== 'function') {
+      check(dataURLToBlob(canvas.toDataURL(type, quality)))
+      return
+    }
+
+    canvas.toBlob(check, type, quality)
+  })
+
+export default canvasToBlob
@@ -0,0 +1,64 @@
+/* eslint-env browser, jest */
+
+import canvasToBlob from './canvas-to-blob'
+
+describe('canvasToBlob', () => {
+  it('resolves with the blob encoded by the canvas', async () => {
+    const blob = { size: 42, type: 'image/jpeg' }
+    const canvas = { toBlob: jest.fn(callback => callback(blob)) }
+
+    const result = await canvasToBlob(canvas, 'image/jpeg', 0.8)
+
+    expect(result).toBe(blob)
+    expect(canvas.toBlob).toHaveBeenCalledWith(
+      expect.any(Function),
+      'image/jpeg',
+      0.8
+    )
+  })
+
+  it('rejects when the canvas cannot be encoded', async () => {
+    const canvas = { toBlob: callback => callback(null) }
+
+    await expect(canvasToBlob(canvas, 'image/png')).rejects.toBeInstanceOf(
+      Error
+    )
+  })
+
+  it('rejects when the browser encodes another type instead', async () => {
+    const canvas = {
+      toBlob: callback => callback(new Blob([], { type: 'image/png' })),
+    }
+
+    await expect(canvasToBlob(canvas, 'image/webp')).rejects.toThrow(
+      'Canvas could not be encoded as image/webp, the browser only produced image/png'
+    )
+  })
+
+  describe('without toBlob support', () => {
+    it('decodes the data URL of the canvas', async () => {
+      const canvas = {
+        toDataURL: jest.fn(() => 'data:image/png;base64,AQID'),
+      }
+
+      const result = await canvasToBlob(canvas, 'image/png', 1)
+      const bytes = await new Promise(resolve => {
+        const reader = new FileReader()
+        reader.onload = e => resolve(new Uint8Array(e.target.result))
+        reader.readAsArrayBuffer(result)
+      })
+
+      expect(canvas.toDataURL).toHaveBeenCalledWith('image/png', 1)
+      expect(result.type).toBe('image/png')
+      expect(Array.from(bytes)).toEqual([1, 2, 3])
+    })
+
+    it('rejects when the data URL holds another type', async () => {
+      const canvas = { toDataURL: () => 'data:image/png;base64,AQID' }
+
+      await expect(canvasToBlob(canvas, 'image/webp')).rejects.toThrow(
+        'image/webp'
+      )
+    })
+  })
+})
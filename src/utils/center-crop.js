@@ -0,0 +1,25 @@
+/* eslint-env browser, node */
+
+/*
+ * Cuts a canvas (or image) to the given aspect ratio (width / height),
+ * keeping its center and as much of it as possible. Sources within a
+ * pixel of the ratio are returned as they are.
+ */
+const centerCrop = (source, aspect) => {
+  const width = Math.min(source.width, Math.round(source.height * aspect))
+  const height = Math.min(source.height, Math.round(source.width / aspect))
+
+  if (width >= source.width - 1 && height >= source.height - 1) {
+    return source
+  }
+
+  const canvas = document.createElement('canvas')
+  canvas.width = width
+  canvas.height = height
+  canvas
+    .getContext('2d')
+    .drawImage(source, (width - source.width) / 2, (height - source.height) / 2)
+  return canvas
+}
+
+export default centerCrop
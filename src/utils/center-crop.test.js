@@ -0,0 +1,42 @@
+/* eslint-env browser, jest */
+
+import centerCrop from './center-crop'
+
+describe('centerCrop', () => {
+  const realCreateElement = document.createElement
+  let context
+
+  beforeEach(() => {
+    context = { drawImage: jest.fn() }
+    document.createElement = jest.fn(() => ({ getContext: () => context }))
+  })
+
+  afterEach(() => {
+    document.createElement = realCreateElement
+  })
+
+  it('cuts the sides of sources wider than the ratio', () => {
+    const source = { width: 300, height: 100 }
+
+    const canvas = centerCrop(source, 2)
+
+    expect([canvas.width, canvas.height]).toEqual([200, 100])
+    expect(context.drawImage).toHaveBeenCalledWith(source, -50, 0)
+  })
+
+  it('cuts the top and bottom of sources taller than the ratio', () => {
+    const source = { width: 100, height: 300 }
+
+    const canvas = centerCrop(source, 0.5)
+
+    expect([canvas.width, canvas.height]).toEqual([100, 200])
+    expect(context.drawImage).toHaveBeenCalledWith(source, 0, -50)
+  })
+
+  it('returns sources within a pixel of the ratio as they are', () => {
+    const source = { width: 201, height: 100 }
+
+    expect(centerCrop(source, 2)).toBe(source)
+    expect(document.createElement).not.toHaveBeenCalled()
+  })
+})
@@ -0,0 +1,177 @@
+/*
+ * The crop geometry of the editor, free of DOM and React so that it
+ * also runs in Node, e.g. to re-crop the original upload on a server
+ * from the view the client sent instead of trusting its pixels.
+ *
+ * `source` is the { width, height } of the image in pixels. `view`
+ * describes the editor: the { width, height } of its cropping area,
+ * `position` ({ x, y } relative to the image, the center of the crop),
+ * `scale`, `rotate` (in degrees), `flipHorizontal`, `flipVertical`
+ * and `disableBoundaryChecks`, as in the props of the same names.
+ */
+const toRadians = degree => degree * (Math.PI / 180)
+
+// The image is turned by the nearest multiple of 90 degrees, which swaps
+// the output sides when odd, and then tilted by the remaining angle.
+export const isVertical = rotate => Math.abs(Math.round(rotate / 90)) % 2 === 1
+
+export const getTilt = rotate => rotate - Math.round(rotate / 90) * 90
+
+// Size of the cropping area relative to the image at scale 1, before
+// accounting for the tilt: the image covers the area on one side.
+export const getAreaScale = (source, view) => {
+  const imageAspect = source.width / source.height
+  const areaAspect = view.width / view.height
+
+  return {
+    x: Math.min(1, areaAspect / imageAspect),
+    y: Math.min(1, imageAspect / areaAspect),
+  }
+}
+
+/**
+ * Returns the bounding box of an area of the image once it is tilted,
+ * both relative to the image size.
+ * @param {object} source [width and height of the image]
+ * @param {number} width [relative width of the untilted area]
+ * @param {number} height [relative height of the untilted area]
+ * @param {number} rotate [rotation in degrees]
+ */
+export const getTiltedSize = (source, width, height, rotate) => {
+  const tilt = toRadians(getTilt(rotate))
+  const cos = Math.abs(Math.cos(tilt))
+  const sin = Math.abs(Math.sin(tilt))
+  const imageAspect = source.width / source.height
+
+  return {
+    width: width * cos + (height * sin) / imageAspect,
+    height: width * sin * imageAspect + height * cos,
+  }
+}
+
+// Zoom needed for the tilted cropping area to stay inside the image, so
+// that a scale of 1 never shows blank corners whatever the rotation.
+export const getCoverScale = (source, view) => {
+  const areaScale = getAreaScale(source, view)
+  const size = getTiltedSize(source, areaScale.x, areaScale.y, view.rotate || 0)
+
+  return Math.max(size.width, size.height)
+}
+
+/**
+ * Returns the cropping rectangle, relative to the unrotated and
+ * unmirrored image, with the position clamped so that the crop stays
+ * inside the image unless it can't or boundary checks are disabled.
+ * @param {object} source [width and height of the image]
+ * @param {object} view [the editor view, see above]
+ */
+export const getCroppingRect = (source, view) => {
+  const { position = { x: 0.5, y: 0.5 }, scale = 1, rotate = 0 } = view
+  const areaScale = getAreaScale(source, view)
+  const coverScale = scale * getCoverScale(source, view)
+  const width = (1 / coverScale) * areaScale.x
+  const height = (1 / coverScale) * areaScale.y
+
+  const croppingRect = {
+    x: position.x - width / 2,
+    y: position.y - height / 2,
+    width,
+    height,
+  }
+
+  // When tilted, the cropping rect stays inside the image as long as its
+  // bounding box does. Without tilt, the bounds are the rect itself.
+  const bounds = getTiltedSize(source, width, height, rotate)
+  const marginX = (bounds.width - width) / 2
+  const marginY = (bounds.height - height) / 2
+
+  let xMin = marginX
+  let xMax = 1 - croppingRect.width - marginX
+  let yMin = marginY
+  let yMax = 1 - croppingRect.height - marginY
+
+  // If the cropping rect is larger than the image, then we need to change
+  // our maxima & minima for x & y to allow the image to appear anywhere up
+  // to the very edge of the cropping rect.
+  const isLargerThanImage =
+    view.disableBoundaryChecks || bounds.width > 1 || bounds.height > 1
+
+  if (isLargerThanImage) {
+    xMin = -croppingRect.width - marginX
+    xMax = 1 + marginX
+    yMin = -croppingRect.height - marginY
+    yMax = 1 + marginY
+  }
+
+  return {
+    ...croppingRect,
+    x: Math.max(xMin, Math.min(croppingRect.x, xMax)),
+    y: Math.max(yMin, Math.min(croppingRect.y, yMax)),
+  }
+}
+
+// composes two [a, b, c, d, e, f] canvas matrices, `n` applying first
+const multiply = (m, n) => [
+  m[0] * n[0] + m[2] * n[1],
+  m[1] * n[0] + m[3] * n[1],
+  m[0] * n[2] + m[2] * n[3],
+  m[1] * n[2] + m[3] * n[3],
+  m[0] * n[4] + m[2] * n[5] + m[4],
+  m[1] * n[4] + m[3] * n[5] + m[5],
+]
+
+const translation = (x, y) => [1, 0, 0, 1, x, y]
+
+/**
+ * Returns what the exported image is made of: `rect`, the cropping
+ * rectangle in source pixels, the `width` and `height` of the output in
+ * pixels, and `matrix`, the [a, b, c, d, e, f] transform (as taken by
+ * the canvas setTransform) that maps source pixels to output pixels.
+ * @param {object} source [width and height of the image]
+ * @param {object} view [the editor view, see above]
+ */
+const getCropTransform = (source, view) => {
+  const { rotate = 0, flipHorizontal, flipVertical } = view
+  const relativeRect = getCroppingRect(source, view)
+  const rect = {
+    x: relativeRect.x * source.width,
+    y: relativeRect.y * source.height,
+    width: relativeRect.width * source.width,
+    height: relativeRect.height * source.height,
+  }
+  const vertical = isVertical(rotate)
+  const width = vertical ? rect.height : rect.width
+  const height = vertical ? rect.width : rect.height
+  const angle = toRadians(rotate)
+  const cos = Math.cos(angle)
+  const sin = Math.sin(angle)
+
+  // rotated about the center of the output, mirrored in the image axes
+  let matrix = translation(width / 2, height / 2)
+  matrix = multiply(matrix, [cos, sin, -sin, cos, 0, 0])
+  matrix = multiply(matrix, [
+    flipHorizontal ? -1 : 1,
+    0,
+    0,
+    flipVertical ? -1 : 1,
+    0,
+    0,
+  ])
+  matrix = multiply(matrix, translation(-width / 2, -height / 2))
+
+  if (vertical) {
+    matrix = multiply(
+      matrix,
+      translation((width - height) / 2, (height - width) / 2)
+    )
+  }
+
+  return {
+    rect,
+    width,
+    height,
+    matrix: multiply(matrix, translation(-rect.x, -rect.y)),
+  }
+}
+
+export default getCropTransform
@@ -0,0 +1,185 @@
+/* eslint-env jest */
+
+import getCropTransform, {
+  isVertical,
+  getCoverScale,
+  getCroppingRect,
+} from './crop-geometry'
+
+const apply = (matrix, [x, y]) => [
+  matrix[0] * x + matrix[2] * y + matrix[4],
+  matrix[1] * x + matrix[3] * y + matrix[5],
+]
+
+const expectPoint = (actual, expected) => {
+  expect(actual[0]).toBeCloseTo(expected[0])
+  expect(actual[1]).toBeCloseTo(expected[1])
+}
+
+describe('crop geometry', () => {
+  const source = { width: 400, height: 200 }
+  const view = { width: 100, height: 100 }
+
+  it('tells when quarter turns swap the output sides', () => {
+    expect(isVertical(0)).toBe(false)
+    expect(isVertical(90)).toBe(true)
+    expect(isVertical(-95)).toBe(true)
+    expect(isVertical(180)).toBe(false)
+  })
+
+  it('zooms tilted images just enough to cover the cropping area', () => {
+    expect(getCoverScale(source, view)).toBe(1)
+    expect(getCoverScale(source, { ...view, rotate: 90 })).toBe(1)
+    expect(getCoverScale(source, { ...view, rotate: 10 })).toBeGreaterThan(1)
+  })
+
+  it('returns the cropping rect relative to the image', () => {
+    expect(getCroppingRect(source, view)).toEqual({
+      x: 0.25,
+      y: 0,
+      width: 0.5,
+      height: 1,
+    })
+    expect(
+      getCroppingRect(source, { ...view, scale: 2, position: { x: 1, y: 1 } })
+    ).toEqual({ x: 0.75, y: 0.5, width: 0.25, height: 0.5 })
+  })
+
+  it('lets the rect leave the image without boundary checks', () => {
+    const rect = getCroppingRect(source, {
+      ...view,
+      position: { x: 1, y: 0.5 },
+      disableBoundaryChecks: true,
+    })
+
+    expect(rect.x).toBe(0.75)
+  })
+
+  it('maps source pixels to output pixels', () => {
+    const { rect, width, height, matrix } = getCropTransform(source, view)
+
+    expect(rect).toEqual({ x: 100, y: 0, width: 200, height: 200 })
+    expect([width, height]).toEqual([200, 200])
+    expectPoint(apply(matrix, [100, 0]), [0, 0])
+    expectPoint(apply(matrix, [300, 200]), [200, 200])
+  })
+
+  it('rotates about the center of the output', () => {
+    const { matrix } = getCropTransform(source, { ...view, rotate: 90 })
+
+    // the top left corner of the crop ends up top right
+    expectPoint(apply(matrix, [100, 0]), [200, 0])
+    expectPoint(apply(matrix, [100, 200]), [0, 0])
+  })
+
+  it('swaps the output sides for quarter turns', () => {
+    const { width, height, matrix } = getCropTransform(
+      { width: 200, height: 400 },
+      { width: 100, height: 50, rotate: 90 }
+    )
+
+    // a 200 x 100 crop, from 150 to 250 vertically
+    expect([width, height]).toEqual([100, 200])
+    expectPoint(apply(matrix, [0, 150]), [100, 0])
+    expectPoint(apply(matrix, [200, 250]), [0, 200])
+  })
+
+  it('mirrors in the image axes', () => {
+    const { matrix } = getCropTransform(source, {
+      ...view,
+      flipHorizontal: true,
+    })
+
+    expectPoint(apply(matrix, [100, 0]), [200, 0])
+    expectPoint(apply(matrix, [300, 200]), [0, 200])
+  })
+
+  // Expected values were taken from the editor's getImage before the
+  // geometry was extracted, which composed translate, rotate and scale
+  // calls on the export canvas, with the image displayed at 300 x 150.
+  describe('matches the editor before the extraction', () => {
+    const cases = [
+      {
+        view: { width: 100, height: 100, position: { x: 0.5, y: 0.5 } },
+        rect: { x: 0.25, y: 0, width: 0.5, height: 1 },
+        size: [200, 200],
+        matrix: [1, 0, 0, 1, -100, 0],
+      },
+      {
+        view: {
+          width: 120,
+          height: 80,
+          position: { x: 0.1, y: 0.9 },
+          scale: 1.7,
+        },
+        rect: { x: 0, y: 0.411765, width: 0.441176, height: 0.588235 },
+        size: [176.470588, 117.647059],
+        matrix: [1, 0, 0, 1, 0, -82.352941],
+      },
+      {
+        view: {
+          width: 100,
+          height: 150,
+          position: { x: 0.6, y: 0.4 },
+          rotate: 90,
+        },
+        rect: { x: 0.433333, y: 0, width: 0.333333, height: 1 },
+        size: [200, 133.333333],
+        matrix: [0, 1, -1, 0, 200, -173.333333],
+      },
+      {
+        view: {
+          width: 100,
+          height: 100,
+          position: { x: 0.3, y: 0.3 },
+          rotate: -23,
+          flipVertical: true,
+        },
+        rect: { x: 0.10934, y: 0.11868, width: 0.38132, height: 0.762639 },
+        size: [152.527846, 152.527846],
+        matrix: [0.920505, -0.390731, -0.390731, -0.920505, 4.876453, 215.2021],
+      },
+      {
+        view: {
+          width: 100,
+          height: 100,
+          position: { x: 1.2, y: -0.1 },
+          scale: 0.5,
+          disableBoundaryChecks: true,
+        },
+        rect: { x: 0.7, y: -1.1, width: 1, height: 2 },
+        size: [400, 400],
+        matrix: [1, 0, 0, 1, -280, 220],
+      },
+      {
+        view: {
+          width: 80,
+          height: 120,
+          position: { x: 0.5, y: 0.5 },
+          rotate: 180,
+          scale: 2,
+          flipHorizontal: true,
+        },
+        rect: { x: 0.416667, y: 0.25, width: 0.166667, height: 0.5 },
+        size: [66.666667, 100],
+        matrix: [1, 0, 0, -1, -166.666667, 150],
+      },
+    ]
+
+    cases.forEach(({ view, rect, size, matrix }) => {
+      it(`for ${JSON.stringify(view)}`, () => {
+        const croppingRect = getCroppingRect(source, view)
+        const transform = getCropTransform(source, view)
+
+        Object.keys(rect).forEach(key => {
+          expect(croppingRect[key]).toBeCloseTo(rect[key], 4)
+        })
+        expect(transform.width).toBeCloseTo(size[0], 4)
+        expect(transform.height).toBeCloseTo(size[1], 4)
+        transform.matrix.forEach((value, index) => {
+          expect(value).toBeCloseTo(matrix[index], 3)
+        })
+      })
+    })
+  })
+})
@@ -0,0 +1,36 @@
+/* eslint-env browser, node */
+
+/*
+ * Runs a face detector on an image and resolves with the boxes of the
+ * faces found, relative to the image size ({ x, y, width, height }
+ * between 0 and 1). `detector` is either a function receiving the
+ * image and returning (a promise of) boxes in image pixels, or `true`
+ * for the browser FaceDetector API, which finds no faces where it is
+ * not supported.
+ */
+const detectWithBrowser = image =>
+  typeof window !== 'undefined' && window.FaceDetector
+    ? new window.FaceDetector()
+        .detect(image)
+        .then(faces => faces.map(face => face.boundingBox))
+    : Promise.resolve([])
+
+// synchronous throws, from the detector or the FaceDetector constructor,
+// become rejections
+const detectFaces = (image, detector) =>
+  new Promise(resolve =>
+    resolve(
+      typeof detector === 'function'
+        ? detector(image)
+        : detectWithBrowser(image)
+    )
+  ).then(boxes =>
+    (boxes || []).map(({ x, y, width, height }) => ({
+      x: x / image.width,
+      y: y / image.height,
+      width: width / image.width,
+      height: height / image.height,
+    }))
+  )
+
+export default detectFaces
@@ -0,0 +1,66 @@
+/* eslint-env browser, jest */
+
+import detectFaces from './detect-faces'
+
+describe('detectFaces', () => {
+  const image = { width: 200, height: 100 }
+
+  afterEach(() => {
+    delete window.FaceDetector
+  })
+
+  it('returns the boxes of a custom detector relative to the image', () => {
+    const detector = jest.fn(() =>
+      Promise.resolve([{ x: 50, y: 25, width: 20, height: 10 }])
+    )
+
+    return detectFaces(image, detector).then(faces => {
+      expect(detector).toHaveBeenCalledWith(image)
+      expect(faces).toEqual([{ x: 0.25, y: 0.25, width: 0.1, height: 0.1 }])
+    })
+  })
+
+  it('accepts synchronous detectors', () =>
+    detectFaces(image, () => [{ x: 0, y: 0, width: 200, height: 100 }]).then(
+      faces => {
+        expect(faces).toEqual([{ x: 0, y: 0, width: 1, height: 1 }])
+      }
+    ))
+
+  it('uses the browser FaceDetector when asked to', () => {
+    const detect = jest.fn(() =>
+      Promise.resolve([
+        { boundingBox: { x: 100, y: 0, width: 100, height: 50 } },
+      ])
+    )
+    window.FaceDetector = jest.fn(() => ({ detect }))
+
+    return detectFaces(image, true).then(faces => {
+      expect(detect).toHaveBeenCalledWith(image)
+      expect(faces).toEqual([{ x: 0.5, y: 0, width: 0.5, height: 0.5 }])
+    })
+  })
+
+  it('rejects when the detector throws', () => {
+    const error = new Error('no model')
+
+    return expect(
+      detectFaces(image, () => {
+        throw error
+      })
+    ).rejects.toBe(error)
+  })
+
+  it('rejects when the browser FaceDetector cannot be created', () => {
+    window.FaceDetector = jest.fn(() => {
+      throw new Error('unavailable')
+    })
+
+    return expect(detectFaces(image, true)).rejects.toThrow('unavailable')
+  })
+
+  it('finds no faces without a FaceDetector', () =>
+    detectFaces(image, true).then(faces => {
+      expect(faces).toEqual([])
+    }))
+})
@@ -0,0 +1,47 @@
+/* eslint-env browser, node */
+
+const createCanvas = (width, height) => {
+  const canvas = document.createElement('canvas')
+  canvas.width = width
+  canvas.height = height
+  return canvas
+}
+
+const drawScaled = (source, width, height) => {
+  const canvas = createCanvas(width, height)
+  const context = canvas.getContext('2d')
+  context.imageSmoothingEnabled = true
+  context.imageSmoothingQuality = 'high'
+  context.drawImage(source, 0, 0, width, height)
+  return canvas
+}
+
+/*
+ * Resizes a canvas (or image) to the given size. Browsers sample
+ * only a few source pixels per output pixel when drawing, which
+ * aliases large reductions: the size is halved step by step
+ * before the final draw, so each step averages neighbouring pixels.
+ */
+const downscaleCanvas = (source, width, height) => {
+  let current = source
+  let currentWidth = source.width
+  let currentHeight = source.height
+
+  while (currentWidth / 2 >= width && currentHeight / 2 >= height) {
+    currentWidth = Math.round(currentWidth / 2)
+    currentHeight = Math.round(currentHeight / 2)
+    current = drawScaled(current, currentWidth, currentHeight)
+  }
+
+  if (
+    current !== source &&
+    currentWidth === width &&
+    currentHeight === height
+  ) {
+    return current
+  }
+
+  return drawScaled(current, width, height)
+}
+
+export default downscaleCanvas
@@ -0,0 +1,64 @@
+/* eslint-env browser, jest */
+
+import downscaleCanvas from './downscale-canvas'
+
+describe('downscaleCanvas', () => {
+  let realCreateElement, created
+
+  beforeEach(() => {
+    created = []
+    realCreateElement = document.createElement
+    document.createElement = jest.fn(() => {
+      const canvas = { getContext: () => context }
+      const context = { drawImage: jest.fn() }
+      created.push(canvas)
+      return canvas
+    })
+  })
+
+  afterEach(() => {
+    document.createElement = realCreateElement
+  })
+
+  const sizes = () => created.map(canvas => [canvas.width, canvas.height])
+
+  it('halves the size until the next step would be smaller than the target', () => {
+    const result = downscaleCanvas({ width: 1000, height: 1000 }, 100, 100)
+
+    expect(sizes()).toEqual([
+      [500, 500],
+      [250, 250],
+      [125, 125],
+      [100, 100],
+    ])
+    expect(result).toBe(created[created.length - 1])
+  })
+
+  it('draws each step from the previous one', () => {
+    const source = { width: 400, height: 200 }
+
+    downscaleCanvas(source, 100, 50)
+
+    expect(created[0].getContext('2d').drawImage).toHaveBeenCalledWith(
+      source,
+      0,
+      0,
+      200,
+      100
+    )
+    expect(created[1].getContext('2d').drawImage).toHaveBeenCalledWith(
+      created[0],
+      0,
+      0,
+      100,
+      50
+    )
+    expect(created.length).toBe(2)
+  })
+
+  it('draws once when enlarging', () => {
+    downscaleCanvas({ width: 100, height: 100 }, 300, 300)
+
+    expect(sizes()).toEqual([[300, 300]])
+  })
+})
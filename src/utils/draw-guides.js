@@ -0,0 +1,73 @@
+/*
+ * Draws composition guides over the cropping area `box`
+ * ({ x, y, width, height }), in editor pixels:
+ *   thirds     the rule-of-thirds grid
+ *   crosshair  a cross marking the center
+ *   safeZone   a dashed circle showing where a face should sit, either
+ *              true or { size, offsetY }, size being the diameter relative
+ *              to the smallest side and offsetY a shift relative to the height
+ * `color` and `lineWidth` style every guide.
+ */
+const DEFAULT_SAFE_ZONE = { size: 0.6, offsetY: 0 }
+const CROSSHAIR_SIZE = 0.1
+
+const line = (context, x1, y1, x2, y2) => {
+  context.beginPath()
+  context.moveTo(x1, y1)
+  context.lineTo(x2, y2)
+  context.stroke()
+}
+
+const drawGuides = (
+  context,
+  { x, y, width, height },
+  {
+    thirds,
+    crosshair,
+    safeZone,
+    color = 'rgba(255, 255, 255, 0.7)',
+    lineWidth = 1,
+  }
+) => {
+  context.save()
+  context.strokeStyle = color
+  context.lineWidth = lineWidth
+  context.setLineDash([])
+
+  if (thirds) {
+    for (let i = 1; i < 3; i++) {
+      line(context, x + (width * i) / 3, y, x + (width * i) / 3, y + height)
+      line(context, x, y + (height * i) / 3, x + width, y + (height * i) / 3)
+    }
+  }
+
+  const centerX = x + width / 2
+  const centerY = y + height / 2
+
+  if (crosshair) {
+    const size = Math.min(width, height) * CROSSHAIR_SIZE
+    line(context, centerX - size, centerY, centerX + size, centerY)
+    line(context, centerX, centerY - size, centerX, centerY + size)
+  }
+
+  if (safeZone) {
+    const { size, offsetY } = {
+      ...DEFAULT_SAFE_ZONE,
+      ...(typeof safeZone === 'object' ? safeZone : {}),
+    }
+    context.setLineDash([4, 4])
+    context.beginPath()
+    context.arc(
+      centerX,
+      centerY + offsetY * height,
+      (Math.min(width, height) * size) / 2,
+      0,
+      Math.PI * 2
+    )
+    context.stroke()
+  }
+
+  context.restore()
+}
+
+export default drawGuides
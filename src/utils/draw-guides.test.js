@@ -0,0 +1,64 @@
+/* eslint-env jest */
+
+import drawGuides from './draw-guides'
+
+describe('drawGuides', () => {
+  let context
+  const box = { x: 0, y: 0, width: 300, height: 150 }
+
+  beforeEach(() => {
+    context = {
+      save: jest.fn(),
+      restore: jest.fn(),
+      setLineDash: jest.fn(),
+      beginPath: jest.fn(),
+      moveTo: jest.fn(),
+      lineTo: jest.fn(),
+      arc: jest.fn(),
+      stroke: jest.fn(),
+    }
+  })
+
+  it('draws nothing when no guide is enabled', () => {
+    drawGuides(context, box, {})
+
+    expect(context.stroke).not.toHaveBeenCalled()
+  })
+
+  it('draws the rule-of-thirds grid', () => {
+    drawGuides(context, box, { thirds: true })
+
+    expect(context.moveTo.mock.calls).toEqual([
+      [100, 0],
+      [0, 50],
+      [200, 0],
+      [0, 100],
+    ])
+  })
+
+  it('draws a crosshair at the center', () => {
+    drawGuides(context, box, { crosshair: true })
+
+    expect(context.moveTo.mock.calls).toEqual([
+      [135, 75],
+      [150, 60],
+    ])
+  })
+
+  it('draws the safe zone circle with its defaults or options', () => {
+    drawGuides(context, box, { safeZone: true })
+    drawGuides(context, box, { safeZone: { size: 1, offsetY: -0.1 } })
+
+    expect(context.arc.mock.calls).toEqual([
+      [150, 75, 45, 0, Math.PI * 2],
+      [150, 60, 75, 0, Math.PI * 2],
+    ])
+  })
+
+  it('applies the color and line width', () => {
+    drawGuides(context, box, { thirds: true, color: 'red', lineWidth: 2 })
+
+    expect(context.strokeStyle).toBe('red')
+    expect(context.lineWidth).toBe(2)
+  })
+})
@@ -0,0 +1,31 @@
+const BADGE_COLORS = { low: '#F5A623', poor: '#D0021B' }
+const BADGE_TEXTS = { low: 'Low resolution', poor: 'Very low resolution' }
+const FONT_SIZE = 11
+const PADDING = 4
+const MARGIN = 6
+
+// Draws a warning badge in the top left corner of the cropping area,
+// for resolutions that are not 'ok'.
+const drawResolutionBadge = (context, box, level, texts) => {
+  const text = { ...BADGE_TEXTS, ...texts }[level]
+  if (!text) {
+    return
+  }
+
+  context.save()
+  context.font = `bold ${FONT_SIZE}px sans-serif`
+  context.textBaseline = 'middle'
+
+  const width = context.measureText(text).width + PADDING * 2
+  const height = FONT_SIZE + PADDING * 2
+  const x = box.x + MARGIN
+  const y = box.y + MARGIN
+
+  context.fillStyle = BADGE_COLORS[level]
+  context.fillRect(x, y, width, height)
+  context.fillStyle = '#ffffff'
+  context.fillText(text, x + PADDING, y + height / 2)
+  context.restore()
+}
+
+export default drawResolutionBadge
@@ -0,0 +1,90 @@
+import drawRoundedRect from './draw-rounded-rect'
+
+/*
+ * Adds the outline of the cropping area to the current path of a
+ * 2D context, fitted in `box` ({ x, y, width, height, radius }),
+ * `radius` being the border radius of the rectangle shape.
+ *
+ * `shape` is the name of one of the built-in shapes below, or a
+ * function called with the context and the box, which adds its
+ * own closed path (without calling beginPath).
+ */
+const polygon = (context, points) => {
+  points.forEach(([x, y], i) =>
+    i === 0 ? context.moveTo(x, y) : context.lineTo(x, y)
+  )
+  context.closePath()
+}
+
+// points on a curve going around the center of the box, `radiusAt`
+// returning the distance from the center for a given angle as [rx, ry]
+const radial = ({ x, y, width, height }, count, radiusAt) => {
+  const points = []
+  for (let i = 0; i < count; i++) {
+    const angle = -Math.PI / 2 + (i * Math.PI * 2) / count
+    const [rx, ry] = radiusAt(angle, i)
+    points.push([
+      x + width / 2 + Math.cos(angle) * rx * (width / 2),
+      y + height / 2 + Math.sin(angle) * ry * (height / 2),
+    ])
+  }
+  return points
+}
+
+const SQUIRCLE_EXPONENT = 4
+const STAR_INNER_RADIUS = 0.5
+
+export const shapes = {
+  rect: (context, { x, y, width, height, radius }) =>
+    drawRoundedRect(context, x, y, width, height, radius),
+
+  circle: (context, { x, y, width, height }) => {
+    const radius = Math.min(width, height) / 2
+    context.moveTo(x + width / 2 + radius, y + height / 2)
+    context.arc(x + width / 2, y + height / 2, radius, 0, Math.PI * 2)
+    context.closePath()
+  },
+
+  ellipse: (context, box) =>
+    polygon(
+      context,
+      radial(box, 128, () => [1, 1])
+    ),
+
+  hexagon: (context, box) =>
+    polygon(
+      context,
+      radial(box, 6, () => [1, 1])
+    ),
+
+  // superellipse |x|^n + |y|^n = 1
+  squircle: (context, box) =>
+    polygon(
+      context,
+      radial(box, 128, angle => {
+        const cos = Math.abs(Math.cos(angle))
+        const sin = Math.abs(Math.sin(angle))
+        const r = Math.pow(
+          Math.pow(cos, SQUIRCLE_EXPONENT) + Math.pow(sin, SQUIRCLE_EXPONENT),
+          -1 / SQUIRCLE_EXPONENT
+        )
+        return [r, r]
+      })
+    ),
+
+  star: (context, box) =>
+    polygon(
+      context,
+      radial(box, 10, (angle, i) =>
+        i % 2 ? [STAR_INNER_RADIUS, STAR_INNER_RADIUS] : [1, 1]
+      )
+    ),
+}
+
+const drawShape = (context, shape, box) => {
+  const draw =
+    (typeof shape === 'function' ? shape : shapes[shape]) || shapes.rect
+  draw(context, box)
+}
+
+export default drawShape
@@ -0,0 +1,74 @@
+/* eslint-env jest */
+
+import drawShape from './draw-shape'
+
+describe('drawShape', () => {
+  let context
+  const box = { x: 10, y: 20, width: 100, height: 50, radius: 0 }
+
+  beforeEach(() => {
+    context = {
+      moveTo: jest.fn(),
+      lineTo: jest.fn(),
+      arc: jest.fn(),
+      rect: jest.fn(),
+      translate: jest.fn(),
+      closePath: jest.fn(),
+    }
+  })
+
+  it('draws a rectangle by default', () => {
+    drawShape(context, undefined, box)
+
+    expect(context.rect).toHaveBeenCalledWith(10, 20, 100, 50)
+  })
+
+  it('falls back to a rectangle for unknown shapes', () => {
+    drawShape(context, 'trapezoid', box)
+
+    expect(context.rect).toHaveBeenCalledWith(10, 20, 100, 50)
+  })
+
+  it('draws a circle fitting the smallest side', () => {
+    drawShape(context, 'circle', box)
+
+    expect(context.arc).toHaveBeenCalledWith(60, 45, 25, 0, Math.PI * 2)
+  })
+
+  it('draws a hexagon with a vertex at the top center', () => {
+    drawShape(context, 'hexagon', box)
+
+    expect(context.moveTo).toHaveBeenCalledWith(60, 20)
+    expect(context.lineTo).toHaveBeenCalledTimes(5)
+    expect(context.closePath).toHaveBeenCalled()
+  })
+
+  it('draws a star alternating outer and inner points', () => {
+    drawShape(context, 'star', box)
+
+    expect(context.lineTo).toHaveBeenCalledTimes(9)
+    // the bottom inner point sits halfway between the center and the edge
+    const [x, y] = context.lineTo.mock.calls[4]
+    expect(x).toBeCloseTo(60)
+    expect(y).toBeCloseTo(57.5)
+  })
+
+  it('keeps squircle points inside the box', () => {
+    drawShape(context, 'squircle', box)
+
+    context.lineTo.mock.calls.forEach(([x, y]) => {
+      expect(x).toBeGreaterThanOrEqual(10 - 1e-9)
+      expect(x).toBeLessThanOrEqual(110 + 1e-9)
+      expect(y).toBeGreaterThanOrEqual(20 - 1e-9)
+      expect(y).toBeLessThanOrEqual(70 + 1e-9)
+    })
+  })
+
+  it('calls custom shape functions with the context and box', () => {
+    const shape = jest.fn()
+
+    drawShape(context, shape, box)
+
+    expect(shape).toHaveBeenCalledWith(context, box)
+  })
+})
@@ -0,0 +1,41 @@
+import toPixels from './to-pixels'
+
+const DEFAULT_THRESHOLDS = { low: 1, poor: 0.5 }
+
+/*
+ * Compares the source pixels of a crop with the output it is meant
+ * for. `target` is `{ width, height }` in pixels, or in `unit` ('mm'
+ * by default, or 'in') when a `dpi` is given. Returns `ratio`, the source pixels
+ * available per output pixel, and `level`: 'ok', 'low' when the ratio
+ * is below `thresholds.low`, 'poor' below `thresholds.poor`.
+ */
+const getEffectiveResolution = (source, target, thresholds) => {
+  const { low, poor } = { ...DEFAULT_THRESHOLDS, ...thresholds }
+  const { dpi, unit = 'mm' } = target
+  const isPrint = typeof dpi === 'number'
+  const targetWidth = isPrint ? toPixels(target.width, unit, dpi) : target.width
+  const targetHeight = isPrint
+    ? toPixels(target.height, unit, dpi)
+    : target.height
+  const ratio = Math.min(
+    source.width / targetWidth,
+    source.height / targetHeight
+  )
+
+  let level = 'ok'
+  if (ratio < poor) {
+    level = 'poor'
+  } else if (ratio < low) {
+    level = 'low'
+  }
+
+  return {
+    sourceWidth: source.width,
+    sourceHeight: source.height,
+    ratio,
+    effectiveDpi: isPrint ? ratio * dpi : null,
+    level,
+  }
+}
+
+export default getEffectiveResolution
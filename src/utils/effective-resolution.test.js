@@ -0,0 +1,63 @@
+/* eslint-env jest */
+
+import getEffectiveResolution from './effective-resolution'
+
+describe('getEffectiveResolution', () => {
+  it('compares the crop with a pixel target', () => {
+    expect(
+      getEffectiveResolution(
+        { width: 400, height: 300 },
+        { width: 200, height: 200 }
+      )
+    ).toEqual({
+      sourceWidth: 400,
+      sourceHeight: 300,
+      ratio: 1.5,
+      effectiveDpi: null,
+      level: 'ok',
+    })
+  })
+
+  it('reports the effective DPI of a print target', () => {
+    const resolution = getEffectiveResolution(
+      { width: 600, height: 600 },
+      { width: 2, height: 2, unit: 'in', dpi: 300 }
+    )
+
+    expect(resolution.ratio).toBe(1)
+    expect(resolution.effectiveDpi).toBe(300)
+    expect(resolution.level).toBe('ok')
+
+    expect(
+      getEffectiveResolution(
+        { width: 600, height: 600 },
+        { width: 25.4, height: 25.4, dpi: 300 }
+      ).effectiveDpi
+    ).toBeCloseTo(600)
+  })
+
+  it('flags low and poor resolutions', () => {
+    const target = { width: 1000, height: 1000 }
+
+    expect(
+      getEffectiveResolution({ width: 900, height: 900 }, target).level
+    ).toBe('low')
+    expect(
+      getEffectiveResolution({ width: 400, height: 900 }, target).level
+    ).toBe('poor')
+  })
+
+  it('accepts custom thresholds', () => {
+    const target = { width: 1000, height: 1000 }
+    const thresholds = { low: 2, poor: 1.2 }
+
+    expect(
+      getEffectiveResolution({ width: 1500, height: 1500 }, target, thresholds)
+        .level
+    ).toBe('low')
+    expect(
+      getEffectiveResolution({ width: 1000, height: 1000 }, target, thresholds)
+        .level
+    ).toBe('poor')
+  })
+})
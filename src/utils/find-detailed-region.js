@@ -0,0 +1,106 @@
+/* eslint-env browser, node */
+
+/*
+ * Finds the most detailed part of an image, to center the crop on
+ * faces and subjects rather than on plain backgrounds. Detail is
+ * measured as the luminance gradient of each pixel, on a small copy
+ * of the image, and summed over every possible position of the crop.
+ */
+const SAMPLE_SIZE = 64
+
+const luminance = (data, index) =>
+  data[index] * 0.299 + data[index + 1] * 0.587 + data[index + 2] * 0.114
+
+// prefix sums, so the detail of any window is read in constant time
+const getSummedDetail = (data, width, height) => {
+  const sums = new Float64Array((width + 1) * (height + 1))
+
+  for (let y = 0; y < height; y++) {
+    let rowSum = 0
+    for (let x = 0; x < width; x++) {
+      const index = (y * width + x) * 4
+      const value = luminance(data, index)
+      const right = x + 1 < width ? luminance(data, index + 4) : value
+      const below = y + 1 < height ? luminance(data, index + width * 4) : value
+
+      rowSum += Math.abs(right - value) + Math.abs(below - value)
+      sums[(y + 1) * (width + 1) + x + 1] =
+        sums[y * (width + 1) + x + 1] + rowSum
+    }
+  }
+
+  return sums
+}
+
+/**
+ * Returns the relative center `{ x, y }` of the most detailed region.
+ * @param {Uint8ClampedArray} data [RGBA pixels, as in ImageData]
+ * @param {number} width [width of the pixel data]
+ * @param {number} height [height of the pixel data]
+ * @param {object} region [relative width and height of the region]
+ */
+export const findDetailedCenter = (data, width, height, region) => {
+  const sums = getSummedDetail(data, width, height)
+  const regionWidth = Math.max(
+    1,
+    Math.min(width, Math.round(region.width * width))
+  )
+  const regionHeight = Math.max(
+    1,
+    Math.min(height, Math.round(region.height * height))
+  )
+  const stride = width + 1
+  let best = null
+
+  for (let y = 0; y + regionHeight <= height; y++) {
+    for (let x = 0; x + regionWidth <= width; x++) {
+      const detail =
+        sums[(y + regionHeight) * stride + x + regionWidth] -
+        sums[y * stride + x + regionWidth] -
+        sums[(y + regionHeight) * stride + x] +
+        sums[y * stride + x]
+      // ties go to the most central region
+      const distance =
+        Math.abs(x + regionWidth / 2 - width / 2) +
+        Math.abs(y + regionHeight / 2 - height / 2)
+
+      if (
+        !best ||
+        detail > best.detail ||
+        (detail === best.detail && distance < best.distance)
+      ) {
+        best = { x, y, detail, distance }
+      }
+    }
+  }
+
+  return {
+    x: (best.x + regionWidth / 2) / width,
+    y: (best.y + regionHeight / 2) / height,
+  }
+}
+
+/**
+ * Samples an image and returns the relative center of its most detailed
+ * region, or the center of the image when it can't be read (e.g. a
+ * cross-origin image without CORS headers).
+ * @param {HTMLImageElement} image [the image to look at]
+ * @param {object} region [relative width and height of the region]
+ */
+const findDetailedRegion = (image, region) => {
+  const ratio = Math.min(1, SAMPLE_SIZE / Math.max(image.width, image.height))
+  const canvas = document.createElement('canvas')
+  canvas.width = Math.max(1, Math.round(image.width * ratio))
+  canvas.height = Math.max(1, Math.round(image.height * ratio))
+  const context = canvas.getContext('2d')
+
+  try {
+    context.drawImage(image, 0, 0, canvas.width, canvas.height)
+    const { data } = context.getImageData(0, 0, canvas.width, canvas.height)
+    return findDetailedCenter(data, canvas.width, canvas.height, region)
+  } catch (e) {
+    return { x: 0.5, y: 0.5 }
+  }
+}
+
+export default findDetailedRegion
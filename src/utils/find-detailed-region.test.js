@@ -0,0 +1,54 @@
+/* eslint-env jest */
+
+import { findDetailedCenter } from './find-detailed-region'
+
+// a flat gray image of the given size, with a checkered patch
+const createImage = (width, height, patch) => {
+  const data = new Uint8ClampedArray(width * height * 4).fill(128)
+  if (patch) {
+    for (let y = patch.y; y < patch.y + patch.size; y++) {
+      for (let x = patch.x; x < patch.x + patch.size; x++) {
+        const index = (y * width + x) * 4
+        const value = (x + y) % 2 ? 255 : 0
+        data[index] = data[index + 1] = data[index + 2] = value
+      }
+    }
+  }
+  return data
+}
+
+describe('findDetailedCenter', () => {
+  it('centers the region on the detailed part of the image', () => {
+    const data = createImage(20, 20, { x: 2, y: 12, size: 4 })
+
+    const center = findDetailedCenter(data, 20, 20, { width: 0.5, height: 0.5 })
+
+    // the 10 pixels region covers the patch, from 2 to 6 and 12 to 16
+    expect(center.x * 20).toBeGreaterThanOrEqual(6)
+    expect(center.x * 20).toBeLessThanOrEqual(7)
+    expect(center.y * 20).toBeGreaterThanOrEqual(11)
+    expect(center.y * 20).toBeLessThanOrEqual(17)
+  })
+
+  it('keeps the region centered on a flat image', () => {
+    const data = createImage(20, 10)
+
+    expect(findDetailedCenter(data, 20, 10, { width: 0.5, height: 1 })).toEqual(
+      {
+        x: 0.5,
+        y: 0.5,
+      }
+    )
+  })
+
+  it('handles regions larger than the image', () => {
+    const data = createImage(10, 10, { x: 0, y: 0, size: 3 })
+
+    expect(findDetailedCenter(data, 10, 10, { width: 1.5, height: 1 })).toEqual(
+      {
+        x: 0.5,
+        y: 0.5,
+      }
+    )
+  })
+})
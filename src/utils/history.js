@@ -0,0 +1,34 @@
+/*
+ * An immutable undo/redo history. `present` is the current entry,
+ * `past` and `future` hold the entries to go back and forth to.
+ * Recording an entry equal to the present one (per `isEqual`) leaves
+ * the history as is, so that unchanged states don't add a step.
+ */
+export const createHistory = present => ({ past: [], present, future: [] })
+
+export const recordHistory = (history, entry, isEqual, limit = Infinity) =>
+  isEqual(history.present, entry)
+    ? history
+    : {
+        past: [...history.past, history.present].slice(-limit),
+        present: entry,
+        future: [],
+      }
+
+export const undoHistory = history =>
+  history.past.length
+    ? {
+        past: history.past.slice(0, -1),
+        present: history.past[history.past.length - 1],
+        future: [history.present, ...history.future],
+      }
+    : history
+
+export const redoHistory = history =>
+  history.future.length
+    ? {
+        past: [...history.past, history.present],
+        present: history.future[0],
+        future: history.future.slice(1),
+      }
+    : history
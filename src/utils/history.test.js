@@ -0,0 +1,58 @@
+/* eslint-env jest */
+
+import {
+  createHistory,
+  recordHistory,
+  undoHistory,
+  redoHistory,
+} from './history'
+
+const isEqual = (a, b) => a === b
+
+describe('history', () => {
+  it('records entries and goes back and forth through them', () => {
+    let history = createHistory(1)
+    history = recordHistory(history, 2, isEqual)
+    history = recordHistory(history, 3, isEqual)
+
+    history = undoHistory(history)
+    expect(history).toEqual({ past: [1], present: 2, future: [3] })
+
+    history = undoHistory(history)
+    expect(history).toEqual({ past: [], present: 1, future: [2, 3] })
+
+    history = redoHistory(history)
+    expect(history).toEqual({ past: [1], present: 2, future: [3] })
+  })
+
+  it('ignores entries equal to the present one', () => {
+    const history = createHistory(1)
+
+    expect(recordHistory(history, 1, isEqual)).toBe(history)
+  })
+
+  it('drops the future when recording a new entry', () => {
+    let history = createHistory(1)
+    history = recordHistory(history, 2, isEqual)
+    history = undoHistory(history)
+    history = recordHistory(history, 3, isEqual)
+
+    expect(history).toEqual({ past: [1], present: 3, future: [] })
+  })
+
+  it('keeps at most `limit` past entries', () => {
+    let history = createHistory(1)
+    for (let entry = 2; entry <= 4; entry++) {
+      history = recordHistory(history, entry, isEqual, 2)
+    }
+
+    expect(history.past).toEqual([2, 3])
+  })
+
+  it('does nothing without entries to go to', () => {
+    const history = createHistory(1)
+
+    expect(undoHistory(history)).toBe(history)
+    expect(redoHistory(history)).toBe(history)
+  })
+})
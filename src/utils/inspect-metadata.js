@@ -0,0 +1,159 @@
+/* eslint-env browser, node */
+import readFile from './read-file'
+
+/*
+ * Looks for the segments which carry metadata in a JPEG, PNG or
+ * WebP file: EXIF (which may hold the GPS location), XMP and ICC
+ * color profiles. Accepts a Blob, a File or an ArrayBuffer and
+ * resolves with the flags found, `format` being null for other
+ * kinds of files.
+ */
+const XMP_KEYWORD = 'XML:com.adobe.xmp'
+
+const readASCII = (view, offset, length) => {
+  let value = ''
+  for (let i = 0; i < length && offset + i < view.byteLength; i++) {
+    value += String.fromCharCode(view.getUint8(offset + i))
+  }
+  return value
+}
+
+// each inspector lists the metadata segments (or chunks) it finds, as their
+// kind and byte range within the file, in file order
+const inspectJPEG = (view, segments) => {
+  let offset = 2
+
+  while (offset + 4 <= view.byteLength) {
+    const marker = view.getUint16(offset, false)
+    if ((marker & 0xff00) !== 0xff00 || marker === 0xffda) {
+      break
+    }
+    const length = view.getUint16(offset + 2, false)
+
+    const end = offset + 2 + length
+    let kind = null
+
+    if (marker === 0xffe1) {
+      if (readASCII(view, offset + 4, 6) === 'Exif\0\0') {
+        kind = 'exif'
+      } else if (readASCII(view, offset + 4, 29).indexOf('ns.adobe.com') > 0) {
+        kind = 'xmp'
+      }
+    } else if (
+      marker === 0xffe2 &&
+      readASCII(view, offset + 4, 12) === 'ICC_PROFILE\0'
+    ) {
+      kind = 'icc'
+    }
+
+    if (kind) {
+      segments.push({ kind, start: offset, end })
+    }
+    offset = end
+  }
+}
+
+const inspectPNG = (view, segments) => {
+  let offset = 8
+
+  while (offset + 8 <= view.byteLength) {
+    const length = view.getUint32(offset, false)
+    const type = readASCII(view, offset + 4, 4)
+
+    // length, type, data and CRC
+    const end = offset + 12 + length
+    let kind = null
+
+    if (type === 'eXIf') {
+      kind = 'exif'
+    } else if (type === 'iCCP') {
+      kind = 'icc'
+    } else if (
+      (type === 'iTXt' || type === 'tEXt' || type === 'zTXt') &&
+      readASCII(view, offset + 8, XMP_KEYWORD.length) === XMP_KEYWORD
+    ) {
+      kind = 'xmp'
+    } else if (type === 'IEND') {
+      break
+    }
+
+    if (kind) {
+      segments.push({ kind, start: offset, end })
+    }
+    offset = end
+  }
+}
+
+const inspectWebP = (view, segments) => {
+  let offset = 12
+
+  while (offset + 8 <= view.byteLength) {
+    const type = readASCII(view, offset, 4)
+    const length = view.getUint32(offset + 4, true)
+
+    // chunks are padded to an even size
+    const end = offset + 8 + length + (length % 2)
+    const kind = { EXIF: 'exif', 'XMP ': 'xmp', ICCP: 'icc' }[type]
+
+    if (kind) {
+      segments.push({ kind, start: offset, end })
+    }
+    offset = end
+  }
+}
+
+/**
+ * Finds the metadata segments of a JPEG, PNG or WebP file.
+ * Returns the `format` and the `segments` as { kind, start, end }, `kind`
+ * being 'exif', 'xmp' or 'icc' and `end` exclusive, in file order.
+ * @param {ArrayBuffer} buffer [the file content]
+ */
+export const findMetadata = buffer => {
+  const view = new DataView(buffer)
+  const segments = []
+  let format = null
+
+  if (view.byteLength >= 4 && view.getUint16(0, false) === 0xffd8) {
+    format = 'jpeg'
+    inspectJPEG(view, segments)
+  } else if (
+    view.byteLength >= 8 &&
+    readASCII(view, 0, 8) === '\x89PNG\r\n\x1a\n'
+  ) {
+    format = 'png'
+    inspectPNG(view, segments)
+  } else if (
+    view.byteLength >= 12 &&
+    readASCII(view, 0, 4) === 'RIFF' &&
+    readASCII(view, 8, 4) === 'WEBP'
+  ) {
+    format = 'webp'
+    inspectWebP(view, segments)
+  }
+
+  return { format, segments }
+}
+
+const inspectBuffer = buffer => {
+  const { format, segments } = findMetadata(buffer)
+  const has = kind => segments.some(segment => segment.kind === kind)
+  const result = {
+    format,
+    exif: has('exif'),
+    xmp: has('xmp'),
+    icc: has('icc'),
+  }
+
+  result.hasMetadata = result.exif || result.xmp || result.icc
+
+  return result
+}
+
+export default function inspectMetadata(file) {
+  // instanceof ArrayBuffer doesn't hold across realms (iframes, workers)
+  if (typeof file.byteLength === 'number') {
+    return Promise.resolve(inspectBuffer(file))
+  }
+
+  return readFile(file, 'readAsArrayBuffer').then(inspectBuffer)
+}
@@ -0,0 +1,101 @@
+/* eslint-env browser, jest */
+
+import inspectMetadata from './inspect-metadata'
+import {
+  ascii,
+  jpeg,
+  jpegSegment,
+  png,
+  pngChunk,
+  toBuffer,
+  webp,
+  webpChunk,
+} from '../test-utils/image-files'
+
+describe('inspectMetadata', () => {
+  it('reports a JPEG without metadata', async () => {
+    const result = await inspectMetadata(
+      toBuffer(jpeg([...jpegSegment(0xe0, ascii('JFIF\0'))]))
+    )
+
+    expect(result).toEqual({
+      format: 'jpeg',
+      exif: false,
+      xmp: false,
+      icc: false,
+      hasMetadata: false,
+    })
+  })
+
+  it('finds EXIF, XMP and ICC segments in a JPEG', async () => {
+    const result = await inspectMetadata(
+      toBuffer(
+        jpeg([
+          ...jpegSegment(0xe1, ascii('Exif\0\0MM')),
+          ...jpegSegment(0xe1, ascii('http://ns.adobe.com/xap/1.0/\0<x/>')),
+          ...jpegSegment(0xe2, ascii('ICC_PROFILE\0\x01\x01')),
+        ])
+      )
+    )
+
+    expect(result).toEqual({
+      format: 'jpeg',
+      exif: true,
+      xmp: true,
+      icc: true,
+      hasMetadata: true,
+    })
+  })
+
+  it('finds metadata chunks in a PNG', async () => {
+    const clean = await inspectMetadata(toBuffer(png([])))
+    const tagged = await inspectMetadata(
+      toBuffer(
+        png([
+          ...pngChunk('eXIf', ascii('MM')),
+          ...pngChunk('iTXt', ascii('XML:com.adobe.xmp\0')),
+          ...pngChunk('iCCP', ascii('sRGB\0')),
+        ])
+      )
+    )
+
+    expect(clean.format).toBe('png')
+    expect(clean.hasMetadata).toBe(false)
+    expect(tagged).toEqual({
+      format: 'png',
+      exif: true,
+      xmp: true,
+      icc: true,
+      hasMetadata: true,
+    })
+  })
+
+  it('finds metadata chunks in a WebP', async () => {
+    const clean = await inspectMetadata(toBuffer(webp([])))
+    const tagged = await inspectMetadata(
+      toBuffer(webp([...webpChunk('EXIF', ascii('MM*'))]))
+    )
+
+    expect(clean.format).toBe('webp')
+    expect(clean.hasMetadata).toBe(false)
+    expect(tagged.exif).toBe(true)
+    expect(tagged.xmp).toBe(false)
+  })
+
+  it('reads Blobs', async () => {
+    const blob = new Blob([
+      new Uint8Array(jpeg([...jpegSegment(0xe1, ascii('Exif\0\0MM'))])),
+    ])
+
+    const result = await inspectMetadata(blob)
+
+    expect(result.exif).toBe(true)
+  })
+
+  it('returns a null format for other files', async () => {
+    const result = await inspectMetadata(toBuffer(ascii('GIF89a')))
+
+    expect(result.format).toBeNull()
+    expect(result.hasMetadata).toBe(false)
+  })
+})
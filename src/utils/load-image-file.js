@@ -1,17 +1,48 @@
 /* eslint-env browser, node */
 import loadImageURL from './load-image-url'
+import parseJPEG from './parse-jpeg'
+import normalizeOrientation from './normalize-orientation'
+import readFile from './read-file'
 
-export default function loadImageFile(imageFile) {
-  return new Promise((resolve, reject) => {
-    const reader = new FileReader()
-    reader.onload = e => {
-      try {
-        const image = loadImageURL(e.target.result)
-        resolve(image)
-      } catch (e) {
-        reject(e)
+/*
+ * Loads an image from a File. Unless `autoOrient` is false, JPEGs
+ * are turned upright according to their EXIF orientation tag.
+ * Resolves with the image (or a canvas holding the upright image),
+ * the orientation found in the file, 1 if there's none, and the
+ * file metadata.
+ */
+export default function loadImageFile(imageFile, autoOrient = true) {
+  return readFile(imageFile, 'readAsArrayBuffer').then(buffer => {
+    // the image is loaded from the bytes already read for the metadata,
+    // rather than reading the file a second time as a data URL
+    const url = URL.createObjectURL(
+      new Blob([buffer], { type: imageFile.type })
+    )
+    const revoke = () => URL.revokeObjectURL(url)
+
+    return loadImageURL(url).then(
+      image => {
+        revoke()
+        const jpeg = parseJPEG(buffer)
+        const upright = autoOrient ? normalizeOrientation(image, jpeg) : image
+
+        return {
+          image: upright,
+          orientation: jpeg ? jpeg.orientation : 1,
+          metadata: {
+            width: upright.width,
+            height: upright.height,
+            type: imageFile.type || null,
+            size: imageFile.size,
+            name: imageFile.name,
+            exif: jpeg ? jpeg.exif : null,
+          },
+        }
+      },
+      error => {
+        revoke()
+        throw error
       }
-    }
-    reader.readAsDataURL(imageFile)
+    )
   })
 }
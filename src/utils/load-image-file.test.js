@@ -0,0 +1,51 @@
+/* eslint-env browser, jest */
+
+import loadImageFile from './load-image-file'
+
+describe('loadImageFile', () => {
+  const realImage = global.Image
+  let loads
+
+  beforeEach(() => {
+    URL.createObjectURL = jest.fn(() => 'blob:image')
+    URL.revokeObjectURL = jest.fn()
+    jest.spyOn(FileReader.prototype, 'readAsDataURL')
+
+    // images load, or fail to when `loads` is false, as soon as given a src
+    loads = true
+    global.Image = class {
+      set src(value) {
+        this.width = 4
+        this.height = 2
+        setTimeout(() => (loads ? this.onload() : this.onerror(value)))
+      }
+    }
+  })
+
+  afterEach(() => {
+    global.Image = realImage
+    FileReader.prototype.readAsDataURL.mockRestore()
+  })
+
+  it('loads the image from the bytes read for its metadata', () => {
+    const file = new File(['not a jpeg'], 'photo.png', { type: 'image/png' })
+
+    return loadImageFile(file).then(({ image, orientation, metadata }) => {
+      expect(FileReader.prototype.readAsDataURL).not.toHaveBeenCalled()
+      expect(URL.createObjectURL.mock.calls[0][0].type).toBe('image/png')
+      expect(URL.revokeObjectURL).toHaveBeenCalledWith('blob:image')
+      expect(image.width).toBe(4)
+      expect(orientation).toBe(1)
+      expect(metadata).toMatchObject({ name: 'photo.png', size: 10 })
+    })
+  })
+
+  it('revokes the object URL when the image fails to load', () => {
+    expect.assertions(1)
+    loads = false
+
+    return loadImageFile(new File(['broken'], 'broken.jpg')).catch(() => {
+      expect(URL.revokeObjectURL).toHaveBeenCalledWith('blob:image')
+    })
+  })
+})
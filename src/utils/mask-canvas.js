@@ -0,0 +1,60 @@
+/* eslint-env browser, node */
+
+/*
+ * Keeps the pixels of a canvas inside the path added by `tracePath`
+ * (called with a 2D context, in canvas pixels) and makes the rest
+ * transparent. The edge is anti-aliased unless `antialias` is false,
+ * in which case every pixel ends up either fully opaque or fully
+ * transparent. An `outline` ({ width, color }) is stroked inside
+ * the edge.
+ */
+const maskCanvas = (canvas, tracePath, { antialias = true, outline } = {}) => {
+  const context = canvas.getContext('2d')
+  const { width, height } = canvas
+
+  context.save()
+  context.setTransform(1, 0, 0, 1, 0, 0)
+  context.globalCompositeOperation = 'destination-in'
+
+  if (antialias) {
+    context.beginPath()
+    tracePath(context)
+    context.fill()
+  } else {
+    // threshold a separate mask, so the transparency of the image itself
+    // is left alone
+    const mask = document.createElement('canvas')
+    mask.width = width
+    mask.height = height
+    const maskContext = mask.getContext('2d')
+    maskContext.beginPath()
+    tracePath(maskContext)
+    maskContext.fill()
+
+    const imageData = maskContext.getImageData(0, 0, width, height)
+    const { data } = imageData
+    for (let i = 3; i < data.length; i += 4) {
+      data[i] = data[i] >= 128 ? 255 : 0
+    }
+    maskContext.putImageData(imageData, 0, 0)
+
+    context.drawImage(mask, 0, 0)
+  }
+
+  if (outline && outline.width > 0) {
+    // a stroke twice as wide, clipped to the shape, keeps the outline inside
+    context.globalCompositeOperation = 'source-over'
+    context.beginPath()
+    tracePath(context)
+    context.clip()
+    context.lineWidth = outline.width * 2
+    context.strokeStyle = outline.color || '#ffffff'
+    context.stroke()
+  }
+
+  context.restore()
+
+  return canvas
+}
+
+export default maskCanvas
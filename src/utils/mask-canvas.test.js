@@ -0,0 +1,98 @@
+/* eslint-env browser, jest */
+
+import maskCanvas from './mask-canvas'
+
+// a 2D context remembering the composite operation of each drawing call
+const createContext = () => {
+  const context = {
+    operations: [],
+    save: jest.fn(),
+    restore: jest.fn(),
+    setTransform: jest.fn(),
+    beginPath: jest.fn(),
+    rect: jest.fn(),
+    clip: jest.fn(),
+  }
+  ;['fill', 'stroke', 'drawImage'].forEach(method => {
+    context[method] = jest.fn(() =>
+      context.operations.push([method, context.globalCompositeOperation])
+    )
+  })
+  return context
+}
+
+describe('maskCanvas', () => {
+  const realCreateElement = document.createElement
+  const tracePath = context => context.rect(0, 0, 2, 1)
+  let canvas, context
+
+  beforeEach(() => {
+    context = createContext()
+    canvas = { width: 2, height: 1, getContext: () => context }
+  })
+
+  afterEach(() => {
+    document.createElement = realCreateElement
+  })
+
+  it('keeps the pixels inside the path with an anti-aliased fill', () => {
+    expect(maskCanvas(canvas, tracePath)).toBe(canvas)
+
+    expect(context.setTransform).toHaveBeenCalledWith(1, 0, 0, 1, 0, 0)
+    expect(context.rect).toHaveBeenCalledWith(0, 0, 2, 1)
+    expect(context.operations).toEqual([['fill', 'destination-in']])
+    expect(context.restore).toHaveBeenCalled()
+  })
+
+  it('thresholds the edge of a separate mask without anti-aliasing', () => {
+    const maskContext = {
+      ...createContext(),
+      // the alpha of two edge pixels, half and mostly transparent
+      getImageData: jest.fn(() => ({ data: [0, 0, 0, 128, 0, 0, 0, 127] })),
+      putImageData: jest.fn(),
+    }
+    const mask = { getContext: () => maskContext }
+    document.createElement = jest.fn(() => mask)
+
+    maskCanvas(canvas, tracePath, { antialias: false })
+
+    expect([mask.width, mask.height]).toEqual([2, 1])
+    expect(maskContext.rect).toHaveBeenCalledWith(0, 0, 2, 1)
+    expect(maskContext.putImageData.mock.calls[0][0].data).toEqual([
+      0,
+      0,
+      0,
+      255,
+      0,
+      0,
+      0,
+      0,
+    ])
+    expect(context.drawImage).toHaveBeenCalledWith(mask, 0, 0)
+    expect(context.operations).toEqual([['drawImage', 'destination-in']])
+    expect(context.fill).not.toHaveBeenCalled()
+  })
+
+  it('strokes the outline inside the path', () => {
+    maskCanvas(canvas, tracePath, { outline: { width: 3, color: '#ff0000' } })
+
+    expect(context.operations).toEqual([
+      ['fill', 'destination-in'],
+      ['stroke', 'source-over'],
+    ])
+    expect(context.clip).toHaveBeenCalled()
+    expect(context.lineWidth).toBe(6)
+    expect(context.strokeStyle).toBe('#ff0000')
+  })
+
+  it('draws white outlines by default, and none without a width', () => {
+    maskCanvas(canvas, tracePath, { outline: { width: 1 } })
+
+    expect(context.strokeStyle).toBe('#ffffff')
+
+    context = createContext()
+    maskCanvas(canvas, tracePath, { outline: { width: 0 } })
+
+    expect(context.stroke).not.toHaveBeenCalled()
+  })
+})
@@ -0,0 +1,59 @@
+/* eslint-env browser, node */
+
+/*
+ * Draws an image on a canvas, rotated and flipped according to
+ * its EXIF orientation (1 to 8), so that it appears upright.
+ * Browsers which already honor the orientation tag when drawing
+ * images get the image back untouched.
+ */
+
+// [a, b, c, d, e, f] transforms, `w` and `h` being the stored image size
+const transforms = {
+  2: (w, h) => [-1, 0, 0, 1, w, 0],
+  3: (w, h) => [-1, 0, 0, -1, w, h],
+  4: (w, h) => [1, 0, 0, -1, 0, h],
+  5: (w, h) => [0, 1, 1, 0, 0, 0],
+  6: (w, h) => [0, 1, -1, 0, h, 0],
+  7: (w, h) => [0, -1, -1, 0, h, w],
+  8: (w, h) => [0, -1, 1, 0, 0, w],
+}
+
+const isOrientedByBrowser = (image, jpeg) => {
+  // sideways orientations tell for sure, as the decoded size is swapped
+  if (jpeg.orientation >= 5 && jpeg.width && jpeg.width !== jpeg.height) {
+    return image.width === jpeg.height
+  }
+
+  return (
+    typeof document !== 'undefined' &&
+    typeof getComputedStyle === 'function' &&
+    getComputedStyle(document.documentElement).imageOrientation === 'from-image'
+  )
+}
+
+const normalizeOrientation = (image, jpeg) => {
+  const transform = jpeg && transforms[jpeg.orientation]
+  if (!transform || isOrientedByBrowser(image, jpeg)) {
+    return image
+  }
+
+  const width = image.width
+  const height = image.height
+  const canvas = document.createElement('canvas')
+
+  if (jpeg.orientation >= 5) {
+    canvas.width = height
+    canvas.height = width
+  } else {
+    canvas.width = width
+    canvas.height = height
+  }
+
+  const context = canvas.getContext('2d')
+  context.transform(...transform(width, height))
+  context.drawImage(image, 0, 0)
+
+  return canvas
+}
+
+export default normalizeOrientation
@@ -0,0 +1,148 @@
+/* eslint-env browser, jest */
+
+import normalizeOrientation from './normalize-orientation'
+
+const apply = (matrix, [x, y]) => [
+  matrix[0] * x + matrix[2] * y + matrix[4],
+  matrix[1] * x + matrix[3] * y + matrix[5],
+]
+
+describe('normalizeOrientation', () => {
+  const realCreateElement = document.createElement
+  // a 4 x 2 image as stored in the file, and as decoded by browsers which
+  // ignore the orientation
+  const jpeg = orientation => ({ orientation, width: 4, height: 2 })
+  const image = { width: 4, height: 2 }
+  let context
+
+  beforeEach(() => {
+    context = { transform: jest.fn(), drawImage: jest.fn() }
+    document.createElement = jest.fn(() => ({ getContext: () => context }))
+  })
+
+  afterEach(() => {
+    document.createElement = realCreateElement
+  })
+
+  // where the top left, top right and bottom left corners of the stored
+  // image end up once upright
+  const orientations = {
+    2: {
+      size: [4, 2],
+      corners: [
+        [4, 0],
+        [0, 0],
+        [4, 2],
+      ],
+    },
+    3: {
+      size: [4, 2],
+      corners: [
+        [4, 2],
+        [0, 2],
+        [4, 0],
+      ],
+    },
+    4: {
+      size: [4, 2],
+      corners: [
+        [0, 2],
+        [4, 2],
+        [0, 0],
+      ],
+    },
+    5: {
+      size: [2, 4],
+      corners: [
+        [0, 0],
+        [0, 4],
+        [2, 0],
+      ],
+    },
+    6: {
+      size: [2, 4],
+      corners: [
+        [2, 0],
+        [2, 4],
+        [0, 0],
+      ],
+    },
+    7: {
+      size: [2, 4],
+      corners: [
+        [2, 4],
+        [2, 0],
+        [0, 4],
+      ],
+    },
+    8: {
+      size: [2, 4],
+      corners: [
+        [0, 4],
+        [0, 0],
+        [2, 4],
+      ],
+    },
+  }
+
+  Object.keys(orientations).forEach(orientation => {
+    const { size, corners } = orientations[orientation]
+
+    it(`turns orientation ${orientation} upright`, () => {
+      const canvas = normalizeOrientation(image, jpeg(Number(orientation)))
+      const matrix = context.transform.mock.calls[0]
+
+      expect([canvas.width, canvas.height]).toEqual(size)
+      expect(
+        [
+          [0, 0],
+          [4, 0],
+          [0, 2],
+        ].map(corner => apply(matrix, corner))
+      ).toEqual(corners)
+      expect(context.drawImage).toHaveBeenCalledWith(image, 0, 0)
+    })
+  })
+
+  it('returns upright images untouched', () => {
+    expect(normalizeOrientation(image, jpeg(1))).toBe(image)
+    expect(normalizeOrientation(image, null)).toBe(image)
+  })
+
+  it('returns images the browser already turned untouched', () => {
+    const turned = { width: 2, height: 4 }
+
+    expect(normalizeOrientation(turned, jpeg(6))).toBe(turned)
+  })
+
+  describe('of square images', () => {
+    // their decoded size is the same either way, only the CSS
+    // image-orientation default tells whether browsers turned them
+    const square = { width: 2, height: 2 }
+    const squareJpeg = { orientation: 6, width: 2, height: 2 }
+    let imageOrientation
+
+    beforeEach(() => {
+      jest
+        .spyOn(window, 'getComputedStyle')
+        .mockImplementation(() => ({ imageOrientation }))
+    })
+
+    afterEach(() => {
+      window.getComputedStyle.mockRestore()
+    })
+
+    it('turns them in browsers ignoring the orientation', () => {
+      imageOrientation = 'none'
+
+      expect(normalizeOrientation(square, squareJpeg)).not.toBe(square)
+      expect(context.transform).toHaveBeenCalledWith(0, 1, -1, 0, 2, 0)
+    })
+
+    it('returns them untouched in browsers honoring it', () => {
+      imageOrientation = 'from-image'
+
+      expect(normalizeOrientation(square, squareJpeg)).toBe(square)
+    })
+  })
+})
@@ -0,0 +1,54 @@
+/*
+ * Turns the `color` prop into a fill style for the overlay around
+ * the cropping area, which spans `width` x `height` editor pixels:
+ *   [r, g, b, a]      the historical RGBA array
+ *   'string'          any CSS color
+ *   { type: 'linear', stops: [[0, color], [1, color]], angle }
+ *                     a linear gradient, angle in degrees, 0 going downwards
+ *   { type: 'radial', stops }
+ *                     a radial gradient from the center to the corners
+ */
+const toRadians = degree => degree * (Math.PI / 180)
+
+const createGradient = (context, width, height, { type, stops, angle = 0 }) => {
+  const centerX = width / 2
+  const centerY = height / 2
+  const radius = Math.sqrt(width * width + height * height) / 2
+  let gradient
+
+  if (type === 'radial') {
+    gradient = context.createRadialGradient(
+      centerX,
+      centerY,
+      0,
+      centerX,
+      centerY,
+      radius
+    )
+  } else {
+    const dx = -Math.sin(toRadians(angle)) * radius
+    const dy = Math.cos(toRadians(angle)) * radius
+    gradient = context.createLinearGradient(
+      centerX - dx,
+      centerY - dy,
+      centerX + dx,
+      centerY + dy
+    )
+  }
+
+  stops.forEach(([offset, color]) => gradient.addColorStop(offset, color))
+
+  return gradient
+}
+
+const getOverlayFill = (context, color, width, height) => {
+  if (Array.isArray(color)) {
+    return 'rgba(' + color.slice(0, 4).join(',') + ')'
+  }
+  if (color && typeof color === 'object') {
+    return createGradient(context, width, height, color)
+  }
+  return color
+}
+
+export default getOverlayFill
@@ -0,0 +1,77 @@
+/* eslint-env jest */
+
+import getOverlayFill from './overlay-fill'
+
+describe('getOverlayFill', () => {
+  let context, gradient
+
+  beforeEach(() => {
+    gradient = { addColorStop: jest.fn() }
+    context = {
+      createLinearGradient: jest.fn(() => gradient),
+      createRadialGradient: jest.fn(() => gradient),
+    }
+  })
+
+  it('turns RGBA arrays into a CSS color', () => {
+    expect(getOverlayFill(context, [0, 0, 0, 0.5], 300, 400)).toBe(
+      'rgba(0,0,0,0.5)'
+    )
+  })
+
+  it('passes CSS color strings through', () => {
+    expect(getOverlayFill(context, 'hsla(0, 0%, 100%, 0.4)', 300, 400)).toBe(
+      'hsla(0, 0%, 100%, 0.4)'
+    )
+  })
+
+  it('creates a downwards linear gradient by default', () => {
+    const result = getOverlayFill(
+      context,
+      {
+        type: 'linear',
+        stops: [
+          [0, 'black'],
+          [1, 'white'],
+        ],
+      },
+      300,
+      400
+    )
+
+    expect(result).toBe(gradient)
+    const [x1, y1, x2, y2] = context.createLinearGradient.mock.calls[0]
+    expect(x1).toBeCloseTo(150)
+    expect(y1).toBeCloseTo(-50)
+    expect(x2).toBeCloseTo(150)
+    expect(y2).toBeCloseTo(450)
+    expect(gradient.addColorStop.mock.calls).toEqual([
+      [0, 'black'],
+      [1, 'white'],
+    ])
+  })
+
+  it('creates a radial gradient from the center to the corners', () => {
+    getOverlayFill(
+      context,
+      {
+        type: 'radial',
+        stops: [
+          [0, 'transparent'],
+          [1, 'black'],
+        ],
+      },
+      300,
+      400
+    )
+
+    expect(context.createRadialGradient).toHaveBeenCalledWith(
+      150,
+      200,
+      0,
+      150,
+      200,
+      250
+    )
+  })
+})
@@ -0,0 +1,124 @@
+/*
+ * Paints what shows around an image which doesn't fill the crop,
+ * when zoomed out or moved past its edges. `background` is either
+ * a color string, or an object of one of these types:
+ *   { type: 'color', color }  a solid color
+ *   { type: 'blur', radius }  a blurred copy of the image stretched to fill
+ *   { type: 'extend' }        the edge pixels of the image repeated outwards
+ *
+ * The context is expected to be transformed like when drawing the
+ * image at `placement` ({ x, y, width, height }). `area` ({ x, y, size })
+ * is a square, centered on x and y, which has to be covered.
+ * `resolution` is the number of canvas pixels per editor pixel, so the
+ * blur looks the same in the editor and in larger exports.
+ */
+const normalizeBackground = background =>
+  typeof background === 'string'
+    ? { type: 'color', color: background }
+    : background || null
+
+const paintColor = (context, area, { color }) => {
+  context.fillStyle = color
+  context.fillRect(
+    area.x - area.size / 2,
+    area.y - area.size / 2,
+    area.size,
+    area.size
+  )
+}
+
+const paintBlur = (context, source, area, { radius = 20 }, resolution) => {
+  // stretch the image to cover the whole area, keeping its aspect ratio
+  const ratio = Math.max(area.size / source.width, area.size / source.height)
+  const width = source.width * ratio
+  const height = source.height * ratio
+
+  context.save()
+  // unsupported by some browsers, which then show the stretched copy as is
+  context.filter = `blur(${radius * resolution}px)`
+  context.drawImage(
+    source,
+    area.x - width / 2,
+    area.y - height / 2,
+    width,
+    height
+  )
+  context.restore()
+}
+
+const paintEdges = (context, source, placement, area) => {
+  const { x, y, width, height } = placement
+  const sw = source.width
+  const sh = source.height
+  // far enough to reach the edges of the area from anywhere inside it
+  const length =
+    area.size +
+    Math.abs(area.x - (x + width / 2)) +
+    Math.abs(area.y - (y + height / 2))
+
+  // sides: stretch the outermost row or column of pixels
+  context.drawImage(source, 0, 0, sw, 1, x, y - length, width, length)
+  context.drawImage(source, 0, sh - 1, sw, 1, x, y + height, width, length)
+  context.drawImage(source, 0, 0, 1, sh, x - length, y, length, height)
+  context.drawImage(source, sw - 1, 0, 1, sh, x + width, y, length, height)
+
+  // corners: stretch the corner pixels
+  context.drawImage(source, 0, 0, 1, 1, x - length, y - length, length, length)
+  context.drawImage(
+    source,
+    sw - 1,
+    0,
+    1,
+    1,
+    x + width,
+    y - length,
+    length,
+    length
+  )
+  context.drawImage(
+    source,
+    0,
+    sh - 1,
+    1,
+    1,
+    x - length,
+    y + height,
+    length,
+    length
+  )
+  context.drawImage(
+    source,
+    sw - 1,
+    sh - 1,
+    1,
+    1,
+    x + width,
+    y + height,
+    length,
+    length
+  )
+}
+
+const paintBackground = (
+  context,
+  source,
+  placement,
+  area,
+  background,
+  resolution = 1
+) => {
+  const options = normalizeBackground(background)
+  if (!options) {
+    return
+  }
+
+  if (options.type === 'color') {
+    paintColor(context, area, options)
+  } else if (options.type === 'blur') {
+    paintBlur(context, source, area, options, resolution)
+  } else if (options.type === 'extend') {
+    paintEdges(context, source, placement, area)
+  }
+}
+
+export default paintBackground
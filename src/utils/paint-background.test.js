@@ -0,0 +1,65 @@
+/* eslint-env jest */
+
+import paintBackground from './paint-background'
+
+describe('paintBackground', () => {
+  let context
+  const source = { width: 100, height: 50 }
+  const placement = { x: 10, y: 20, width: 100, height: 50 }
+  const area = { x: 60, y: 45, size: 200 }
+
+  beforeEach(() => {
+    context = {
+      fillRect: jest.fn(),
+      drawImage: jest.fn(),
+      save: jest.fn(),
+      restore: jest.fn(),
+    }
+  })
+
+  it('paints nothing without a background', () => {
+    paintBackground(context, source, placement, area, undefined)
+
+    expect(context.fillRect).not.toHaveBeenCalled()
+    expect(context.drawImage).not.toHaveBeenCalled()
+  })
+
+  it('fills the area with a color string', () => {
+    paintBackground(context, source, placement, area, '#ff0000')
+
+    expect(context.fillStyle).toBe('#ff0000')
+    expect(context.fillRect).toHaveBeenCalledWith(-40, -55, 200, 200)
+  })
+
+  it('fills the area with a color object', () => {
+    paintBackground(context, source, placement, area, {
+      type: 'color',
+      color: 'white',
+    })
+
+    expect(context.fillStyle).toBe('white')
+    expect(context.fillRect).toHaveBeenCalled()
+  })
+
+  it('draws a blurred copy covering the area', () => {
+    paintBackground(
+      context,
+      source,
+      placement,
+      area,
+      { type: 'blur', radius: 10 },
+      2
+    )
+
+    expect(context.filter).toBe('blur(20px)')
+    expect(context.drawImage).toHaveBeenCalledWith(source, -140, -55, 400, 200)
+  })
+
+  it('stretches the edges on every side and corner', () => {
+    paintBackground(context, source, placement, area, { type: 'extend' })
+
+    expect(context.drawImage).toHaveBeenCalledTimes(8)
+    // top row of pixels, stretched upwards
+    expect(context.drawImage.mock.calls[0].slice(1, 5)).toEqual([0, 0, 100, 1])
+  })
+})
@@ -0,0 +1,153 @@
+/*
+ * Reads the pixel dimensions, EXIF orientation and a few other
+ * EXIF fields (camera, date taken, GPS presence) of a JPEG file
+ * from its raw bytes. Only the segments preceding the image data
+ * are visited, so this stays cheap for large photos.
+ * Returns null when the buffer doesn't hold a JPEG.
+ */
+const EXIF_HEADER = 0x45786966 // "Exif"
+const TAG_MAKE = 0x010f
+const TAG_MODEL = 0x0110
+const TAG_ORIENTATION = 0x0112
+const TAG_DATE_TIME = 0x0132
+const TAG_EXIF_IFD = 0x8769
+const TAG_GPS_IFD = 0x8825
+const TAG_DATE_TIME_ORIGINAL = 0x9003
+
+const readString = (view, offset, length) => {
+  let value = ''
+  for (let i = 0; i < length && offset + i < view.byteLength; i++) {
+    const code = view.getUint8(offset + i)
+    if (code === 0) {
+      break
+    }
+    value += String.fromCharCode(code)
+  }
+  return value.trim()
+}
+
+// EXIF dates look like "2019:07:14 18:30:02", make them ISO 8601 alike
+const formatDate = value => {
+  const match = /^(\d{4}):(\d{2}):(\d{2}) (\d{2}:\d{2}:\d{2})$/.exec(
+    value || ''
+  )
+  return match ? `${match[1]}-${match[2]}-${match[3]}T${match[4]}` : null
+}
+
+const readIFD = (view, tiffOffset, ifdOffset, littleEndian) => {
+  const tags = {}
+  const start = tiffOffset + ifdOffset
+  if (start + 2 > view.byteLength) {
+    return tags
+  }
+
+  const count = view.getUint16(start, littleEndian)
+  for (let i = 0; i < count; i++) {
+    const entry = start + 2 + i * 12
+    if (entry + 12 > view.byteLength) {
+      break
+    }
+    const tag = view.getUint16(entry, littleEndian)
+    const type = view.getUint16(entry + 2, littleEndian)
+
+    // SHORT and LONG values of a single component fit in the entry itself,
+    // so do ASCII values of up to 4 bytes, the NUL terminator included;
+    // longer ones are stored at the offset the entry holds instead
+    if (type === 2) {
+      const length = view.getUint32(entry + 4, littleEndian)
+      const offset =
+        length > 4
+          ? tiffOffset + view.getUint32(entry + 8, littleEndian)
+          : entry + 8
+      tags[tag] = readString(view, offset, length)
+    } else if (type === 3) {
+      tags[tag] = view.getUint16(entry + 8, littleEndian)
+    } else if (type === 4) {
+      tags[tag] = view.getUint32(entry + 8, littleEndian)
+    }
+  }
+
+  return tags
+}
+
+// `view` only holds the APP1 segment data, so that reads past the end of a
+// truncated or corrupt segment throw rather than wander into the next ones
+const readExif = view => {
+  if (view.byteLength < 14 || view.getUint32(0, false) !== EXIF_HEADER) {
+    return {}
+  }
+
+  const tiffOffset = 6
+  const littleEndian = view.getUint16(tiffOffset, false) === 0x4949
+  const ifdOffset = view.getUint32(tiffOffset + 4, littleEndian)
+
+  const tags = readIFD(view, tiffOffset, ifdOffset, littleEndian)
+  const exifTags = tags[TAG_EXIF_IFD]
+    ? readIFD(view, tiffOffset, tags[TAG_EXIF_IFD], littleEndian)
+    : {}
+
+  return {
+    ...tags,
+    ...exifTags,
+  }
+}
+
+// start of frame markers, DHT (C4), JPG (C8) and DAC (CC) share the range
+const isStartOfFrame = marker =>
+  marker >= 0xffc0 &&
+  marker <= 0xffcf &&
+  marker !== 0xffc4 &&
+  marker !== 0xffc8 &&
+  marker !== 0xffcc
+
+const parseJPEG = buffer => {
+  const view = new DataView(buffer)
+
+  if (view.byteLength < 4 || view.getUint16(0, false) !== 0xffd8) {
+    return null
+  }
+
+  const result = { width: null, height: null, orientation: 1, exif: null }
+  let offset = 2
+
+  while (offset + 4 <= view.byteLength) {
+    const marker = view.getUint16(offset, false)
+    if ((marker & 0xff00) !== 0xff00 || marker === 0xffda) {
+      break
+    }
+    const length = view.getUint16(offset + 2, false)
+
+    if (marker === 0xffe1) {
+      const start = offset + 4
+      const end = Math.min(offset + 2 + length, view.byteLength)
+      let tags = {}
+      try {
+        tags = readExif(new DataView(buffer, start, Math.max(0, end - start)))
+      } catch (e) {
+        // unreadable EXIF leaves the image upright and without metadata
+      }
+      if (tags[TAG_ORIENTATION] >= 1 && tags[TAG_ORIENTATION] <= 8) {
+        result.orientation = tags[TAG_ORIENTATION]
+      }
+      if (Object.keys(tags).length > 0) {
+        result.exif = {
+          make: tags[TAG_MAKE] || null,
+          model: tags[TAG_MODEL] || null,
+          dateTaken: formatDate(
+            tags[TAG_DATE_TIME_ORIGINAL] || tags[TAG_DATE_TIME]
+          ),
+          hasGPS: tags[TAG_GPS_IFD] !== undefined,
+        }
+      }
+    } else if (isStartOfFrame(marker) && offset + 9 <= view.byteLength) {
+      result.height = view.getUint16(offset + 5, false)
+      result.width = view.getUint16(offset + 7, false)
+    }
+
+    offset += 2 + length
+  }
+
+  return result
+}
+
+export default parseJPEG
@@ -0,0 +1,228 @@
+/* eslint-env jest */
+
+import parseJPEG from './parse-jpeg'
+
+const toBuffer = bytes => new Uint8Array(bytes).buffer
+
+// APP1 segment holding a single IFD entry with the orientation tag
+const exifSegment = (orientation, littleEndian) => {
+  const short = value =>
+    littleEndian ? [value & 0xff, value >> 8] : [value >> 8, value & 0xff]
+  const long = value => (littleEndian ? [value, 0, 0, 0] : [0, 0, 0, value])
+
+  const tiff = [
+    ...(littleEndian ? [0x49, 0x49] : [0x4d, 0x4d]),
+    ...short(42),
+    ...long(8),
+    ...short(1),
+    ...short(0x0112),
+    ...short(3),
+    ...long(1),
+    ...short(orientation),
+    0,
+    0,
+    ...long(0),
+  ]
+  const length = 2 + 6 + tiff.length
+
+  return [
+    0xff,
+    0xe1,
+    length >> 8,
+    length & 0xff,
+    0x45,
+    0x78,
+    0x69,
+    0x66,
+    0,
+    0,
+    ...tiff,
+  ]
+}
+
+// baseline SOF0 segment for a 3 components image
+const frameSegment = (width, height) => [
+  0xff,
+  0xc0,
+  0,
+  17,
+  8,
+  height >> 8,
+  height & 0xff,
+  width >> 8,
+  width & 0xff,
+  3,
+  ...new Array(9).fill(0),
+]
+
+const startOfScan = [0xff, 0xda, 0, 2]
+
+// big endian APP1 segment with string make and model, a GPS IFD pointer
+// and a date held in the EXIF sub-IFD
+const detailedExifSegment = () => {
+  const short = value => [value >> 8, value & 0xff]
+  const long = value => [0, 0, value >> 8, value & 0xff]
+  const ascii = value => [...value].map(c => c.charCodeAt(0)).concat(0)
+  const entry = (tag, type, count, value) => [
+    ...short(tag),
+    ...short(type),
+    ...long(count),
+    ...value,
+  ]
+
+  // layout: header (8), IFD0 with 4 entries (2 + 48 + 4), EXIF IFD with
+  // 1 entry (2 + 12 + 4), then the strings
+  const exifIFDOffset = 8 + 54
+  const makeOffset = exifIFDOffset + 18
+  const make = ascii('Canon')
+  const dateOffset = makeOffset + make.length
+  const date = ascii('2019:07:14 18:30:02')
+
+  const tiff = [
+    0x4d,
+    0x4d,
+    ...short(42),
+    ...long(8),
+    ...short(4),
+    ...entry(0x010f, 2, make.length, long(makeOffset)),
+    ...entry(0x0110, 2, 3, [0x58, 0x35, 0, 0]),
+    ...entry(0x8769, 4, 1, long(exifIFDOffset)),
+    ...entry(0x8825, 4, 1, long(0)),
+    ...long(0),
+    ...short(1),
+    ...entry(0x9003, 2, date.length, long(dateOffset)),
+    ...long(0),
+    ...make,
+    ...date,
+  ]
+  const length = 2 + 6 + tiff.length
+
+  return [
+    0xff,
+    0xe1,
+    length >> 8,
+    length & 0xff,
+    0x45,
+    0x78,
+    0x69,
+    0x66,
+    0,
+    0,
+  ].concat(tiff)
+}
+
+describe('parseJPEG', () => {
+  it('returns null when the buffer is not a JPEG', () => {
+    expect(parseJPEG(toBuffer([0x89, 0x50, 0x4e, 0x47]))).toBeNull()
+  })
+
+  it('reads the dimensions from the start of frame', () => {
+    const result = parseJPEG(
+      toBuffer([0xff, 0xd8, ...frameSegment(640, 480), ...startOfScan])
+    )
+
+    expect(result).toEqual({
+      width: 640,
+      height: 480,
+      orientation: 1,
+      exif: null,
+    })
+  })
+
+  it('reads a big endian orientation tag', () => {
+    const result = parseJPEG(
+      toBuffer([
+        0xff,
+        0xd8,
+        ...exifSegment(6, false),
+        ...frameSegment(640, 480),
+        ...startOfScan,
+      ])
+    )
+
+    expect(result.orientation).toBe(6)
+  })
+
+  it('reads a little endian orientation tag', () => {
+    const result = parseJPEG(
+      toBuffer([0xff, 0xd8, ...exifSegment(8, true), ...startOfScan])
+    )
+
+    expect(result.orientation).toBe(8)
+  })
+
+  it('ignores invalid orientation values', () => {
+    const result = parseJPEG(
+      toBuffer([0xff, 0xd8, ...exifSegment(42, false), ...startOfScan])
+    )
+
+    expect(result.orientation).toBe(1)
+  })
+
+  it('reads the camera, date taken and GPS presence', () => {
+    const result = parseJPEG(
+      toBuffer([0xff, 0xd8, ...detailedExifSegment(), ...startOfScan])
+    )
+
+    expect(result.exif).toEqual({
+      make: 'Canon',
+      model: 'X5',
+      dateTaken: '2019-07-14T18:30:02',
+      hasGPS: true,
+    })
+  })
+
+  it('reports missing EXIF fields as null', () => {
+    const result = parseJPEG(
+      toBuffer([0xff, 0xd8, ...exifSegment(1, true), ...startOfScan])
+    )
+
+    expect(result.exif).toEqual({
+      make: null,
+      model: null,
+      dateTaken: null,
+      hasGPS: false,
+    })
+  })
+
+  it('falls back to upright for a truncated EXIF segment', () => {
+    // the file ends in the middle of the TIFF header
+    const segment = exifSegment(6, false).slice(0, 14)
+
+    expect(parseJPEG(toBuffer([0xff, 0xd8, ...segment]))).toEqual({
+      width: null,
+      height: null,
+      orientation: 1,
+      exif: null,
+    })
+  })
+
+  it('does not read EXIF past the length of its segment', () => {
+    // the segment claims to end before its orientation entry, the bytes
+    // after it belong to the next segment
+    const segment = exifSegment(6, false)
+    segment[3] = 20
+
+    const result = parseJPEG(toBuffer([0xff, 0xd8, ...segment]))
+
+    expect(result.orientation).toBe(1)
+  })
+
+  it('ignores EXIF offsets pointing out of the segment', () => {
+    const segment = exifSegment(6, false)
+    // IFD0 offset, right after the TIFF byte order and magic number
+    segment[17] = 0xff
+
+    const result = parseJPEG(
+      toBuffer([0xff, 0xd8, ...segment, ...frameSegment(640, 480)])
+    )
+
+    expect(result).toMatchObject({ width: 640, height: 480, orientation: 1 })
+  })
+
+  it('stops at truncated segments', () => {
+    const result = parseJPEG(toBuffer([0xff, 0xd8, 0xff, 0xe1, 0x10]))
+
+    expect(result.orientation).toBe(1)
+  })
+})
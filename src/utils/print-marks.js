@@ -0,0 +1,276 @@
+const CUT_LINES_STYLE = { color: '#ffffff', lineWidth: 2, dash: [7, 3] }
+const BLEED_RECT_STYLE = { color: '#E03F6F', lineWidth: 2, dash: [] }
+const CROP_MARKS_STYLE = {
+  color: '#000000',
+  lineWidth: 1,
+  dash: [],
+  length: 10,
+  offset: 3,
+}
+const REGISTRATION_MARKS_STYLE = {
+  color: '#000000',
+  lineWidth: 1,
+  dash: [],
+  size: 10,
+  offset: 3,
+}
+const SAFE_AREA_STYLE = { color: '#00A3E0', lineWidth: 1, dash: [4, 4] }
+
+const applyStyle = (context, { color, lineWidth, dash }) => {
+  context.strokeStyle = color
+  context.lineWidth = lineWidth
+  context.setLineDash(dash)
+}
+
+// boolean options turn a mark on with its default style
+const getOptions = (value, defaults) =>
+  value ? { ...defaults, ...(typeof value === 'object' ? value : {}) } : null
+
+const line = (context, x1, y1, x2, y2) => {
+  context.beginPath()
+  context.moveTo(x1, y1)
+  context.lineTo(x2, y2)
+  context.stroke()
+}
+
+/**
+ * Side extension for Bleeds. It draws the cut lines
+ * @param {object} context [canvas context]
+ * @param {number} outerBoxX [x pos of rectangle that forms the semi-transparent border]
+ * @param {number} outerBoxY [y pos of rectangle that forms the semi-transparent border]
+ * @param {number} innerBoxWidth [width of rectangle that holds the image]
+ * @param {number} innerBoxHeight [height of rectangle that holds the image]
+ * @param {number} bleedDistance [distance between the bleed and the cut lines]
+ * @param {object} bleedEdges [edges having a bleed, e.g. { top: true, left: true }]
+ * @param {object} style [color, lineWidth and dash of the lines]
+ */
+const drawCutLines = (
+  context,
+  outerBoxX,
+  outerBoxY,
+  innerBoxWidth,
+  innerBoxHeight,
+  bleedDistance,
+  bleedEdges,
+  style
+) => {
+  const bleedTop = bleedEdges.top ? bleedDistance : 0
+  const bleedRight = bleedEdges.right ? bleedDistance : 0
+  const bleedBottom = bleedEdges.bottom ? bleedDistance : 0
+  const bleedLeft = bleedEdges.left ? bleedDistance : 0
+
+  applyStyle(context, { ...CUT_LINES_STYLE, ...style })
+
+  // top
+  context.beginPath()
+  context.moveTo(0, outerBoxY + bleedTop)
+  context.lineTo(innerBoxWidth, outerBoxY + bleedTop)
+  context.stroke()
+  context.closePath()
+
+  // right
+  context.beginPath()
+  context.moveTo(innerBoxWidth - outerBoxX - bleedRight, 0)
+  context.lineTo(innerBoxWidth - outerBoxX - bleedRight, innerBoxHeight)
+  context.stroke()
+  context.closePath()
+
+  // bottom
+  context.beginPath()
+  context.moveTo(0, innerBoxHeight - outerBoxY - bleedBottom)
+  context.lineTo(innerBoxWidth, innerBoxHeight - outerBoxY - bleedBottom)
+  context.stroke()
+  context.closePath()
+
+  // left
+  context.beginPath()
+  context.moveTo(outerBoxX + bleedLeft, 0)
+  context.lineTo(outerBoxX + bleedLeft, innerBoxHeight)
+  context.stroke()
+  context.closePath()
+}
+
+/**
+ * Side extension for Bleeds. It draws the bleed rectangle by using the semi-transparent border's
+ * x, y position as the top, left of the rectangle, and using the image container as the height and
+ * width of the rectangle.
+ * @param {object} context [canvas context]
+ * @param {number} outerBoxX [x pos of rectangle that forms the semi-transparent border]
+ * @param {number} outerBoxY [y pos of rectangle that forms the semi-transparent border]
+ * @param {number} innerBoxWidth [width of rectangle that holds the image]
+ * @param {number} innerBoxHeight [height of rectangle that holds the image]
+ * @param {object} style [color, lineWidth and dash of the rectangle]
+ */
+const drawBleedRect = (
+  context,
+  outerBoxX,
+  outerBoxY,
+  innerBoxWidth,
+  innerBoxHeight,
+  style
+) => {
+  applyStyle(context, { ...BLEED_RECT_STYLE, ...style })
+
+  context.beginPath()
+  context.strokeRect(outerBoxX, outerBoxY, innerBoxWidth, innerBoxHeight)
+  context.closePath()
+}
+
+/**
+ * Draws corner crop marks: short lines extending the trim lines outwards,
+ * starting `offset` away from the bleed rectangle so they don't show on
+ * the trimmed print.
+ * @param {object} context [canvas context]
+ * @param {object} bleedBox [x, y, width and height of the bleed rectangle]
+ * @param {object} trimBox [x, y, width and height of the rectangle the print is cut to]
+ * @param {object} options [color, lineWidth, dash, length and offset of the marks]
+ */
+export const drawCropMarks = (context, bleedBox, trimBox, options) => {
+  const { length, offset } = options
+  const left = bleedBox.x - offset
+  const right = bleedBox.x + bleedBox.width + offset
+  const top = bleedBox.y - offset
+  const bottom = bleedBox.y + bleedBox.height + offset
+  const trimXs = [trimBox.x, trimBox.x + trimBox.width]
+  const trimYs = [trimBox.y, trimBox.y + trimBox.height]
+
+  applyStyle(context, options)
+
+  // horizontal marks, on the left and right of each trim line
+  trimYs.forEach(y => {
+    line(context, left - length, y, left, y)
+    line(context, right, y, right + length, y)
+  })
+
+  // vertical marks, above and below each trim line
+  trimXs.forEach(x => {
+    line(context, x, top - length, x, top)
+    line(context, x, bottom, x, bottom + length)
+  })
+}
+
+/**
+ * Draws registration targets, a circle crossed by two lines, centered on
+ * each side of the bleed rectangle and `offset` away from it.
+ * @param {object} context [canvas context]
+ * @param {object} bleedBox [x, y, width and height of the bleed rectangle]
+ * @param {object} options [color, lineWidth, dash, size and offset of the marks]
+ */
+const drawRegistrationMarks = (context, bleedBox, options) => {
+  const { size, offset } = options
+  const radius = size / 2
+  const centerX = bleedBox.x + bleedBox.width / 2
+  const centerY = bleedBox.y + bleedBox.height / 2
+  const targets = [
+    [centerX, bleedBox.y - offset - radius],
+    [bleedBox.x + bleedBox.width + offset + radius, centerY],
+    [centerX, bleedBox.y + bleedBox.height + offset + radius],
+    [bleedBox.x - offset - radius, centerY],
+  ]
+
+  applyStyle(context, options)
+
+  targets.forEach(([x, y]) => {
+    context.beginPath()
+    context.arc(x, y, radius * 0.6, 0, Math.PI * 2)
+    context.stroke()
+    line(context, x - radius, y, x + radius, y)
+    line(context, x, y - radius, x, y + radius)
+  })
+}
+
+/**
+ * Draws the safe area, the part of the trimmed print where important
+ * content is safe from cutting inaccuracies.
+ * @param {object} context [canvas context]
+ * @param {object} trimBox [x, y, width and height of the rectangle the print is cut to]
+ * @param {object} options [color, lineWidth, dash and inset of the rectangle]
+ */
+const drawSafeArea = (context, trimBox, options) => {
+  const { inset } = options
+
+  applyStyle(context, options)
+
+  context.strokeRect(
+    trimBox.x + inset,
+    trimBox.y + inset,
+    trimBox.width - inset * 2,
+    trimBox.height - inset * 2
+  )
+}
+
+/**
+ * Draws the print marks configured by the `printMarks` prop around the
+ * area holding the image.
+ * @param {object} context [canvas context]
+ * @param {object} box [x, y, width and height of the area holding the image, which includes the bleed]
+ * @param {object} canvasSize [width and height of the editor canvas]
+ * @param {object} printMarks [the printMarks prop]
+ */
+const drawPrintMarks = (context, box, canvasSize, printMarks) => {
+  const {
+    bleedDistance = 0,
+    bleedEdges,
+    bleedRect,
+    cutLines,
+    cropMarks,
+    registrationMarks,
+    safeArea,
+  } = printMarks
+  const edges = bleedEdges || {}
+  const bleedTop = edges.top ? bleedDistance : 0
+  const bleedRight = edges.right ? bleedDistance : 0
+  const bleedBottom = edges.bottom ? bleedDistance : 0
+  const bleedLeft = edges.left ? bleedDistance : 0
+  const trimBox = {
+    x: box.x + bleedLeft,
+    y: box.y + bleedTop,
+    width: box.width - bleedLeft - bleedRight,
+    height: box.height - bleedTop - bleedBottom,
+  }
+
+  context.save()
+
+  // draw the bleed marks if the bleed edges exist
+  if (bleedEdges) {
+    // red border
+    drawBleedRect(context, box.x, box.y, box.width, box.height, bleedRect)
+
+    // white dotted line
+    drawCutLines(
+      context,
+      box.x,
+      box.y,
+      canvasSize.width,
+      canvasSize.height,
+      bleedDistance,
+      bleedEdges,
+      cutLines
+    )
+  }
+
+  const cropMarksOptions = getOptions(cropMarks, CROP_MARKS_STYLE)
+  if (cropMarksOptions) {
+    drawCropMarks(context, box, trimBox, cropMarksOptions)
+  }
+
+  const registrationOptions = getOptions(
+    registrationMarks,
+    REGISTRATION_MARKS_STYLE
+  )
+  if (registrationOptions) {
+    drawRegistrationMarks(context, box, registrationOptions)
+  }
+
+  const safeAreaOptions =
+    typeof safeArea === 'number'
+      ? { ...SAFE_AREA_STYLE, inset: safeArea }
+      : getOptions(safeArea, { ...SAFE_AREA_STYLE, inset: 0 })
+  if (safeAreaOptions) {
+    drawSafeArea(context, trimBox, safeAreaOptions)
+  }
+
+  context.restore()
+}
+
+export default drawPrintMarks
@@ -0,0 +1,127 @@
+/* eslint-env jest */
+
+import drawPrintMarks from './print-marks'
+
+describe('drawPrintMarks', () => {
+  let context
+  const box = { x: 20, y: 20, width: 100, height: 60 }
+  const canvasSize = { width: 140, height: 100 }
+  const allEdges = { top: true, right: true, bottom: true, left: true }
+
+  beforeEach(() => {
+    context = {
+      save: jest.fn(),
+      restore: jest.fn(),
+      setLineDash: jest.fn(),
+      beginPath: jest.fn(),
+      closePath: jest.fn(),
+      moveTo: jest.fn(),
+      lineTo: jest.fn(),
+      arc: jest.fn(),
+      stroke: jest.fn(),
+      strokeRect: jest.fn(),
+    }
+  })
+
+  it('draws nothing without marks', () => {
+    drawPrintMarks(context, box, canvasSize, {})
+
+    expect(context.stroke).not.toHaveBeenCalled()
+    expect(context.strokeRect).not.toHaveBeenCalled()
+  })
+
+  it('draws the bleed rectangle and cut lines with the default style', () => {
+    drawPrintMarks(context, box, canvasSize, {
+      bleedDistance: 5,
+      bleedEdges: { top: true, left: true },
+    })
+
+    expect(context.strokeRect).toHaveBeenCalledWith(20, 20, 100, 60)
+    expect(context.setLineDash.mock.calls).toEqual([[[]], [[7, 3]]])
+    expect(context.strokeStyle).toBe('#ffffff')
+    expect(context.lineWidth).toBe(2)
+    expect(context.moveTo.mock.calls).toEqual([
+      [0, 25],
+      [120, 0],
+      [0, 80],
+      [25, 0],
+    ])
+  })
+
+  it('applies custom styles to the bleed rectangle and cut lines', () => {
+    const strokeStyles = []
+    context.strokeRect = jest.fn(() => strokeStyles.push(context.strokeStyle))
+
+    drawPrintMarks(context, box, canvasSize, {
+      bleedEdges: allEdges,
+      bleedRect: { color: 'blue', lineWidth: 1 },
+      cutLines: { color: 'green', dash: [2, 2] },
+    })
+
+    expect(strokeStyles).toEqual(['blue'])
+    expect(context.strokeStyle).toBe('green')
+    expect(context.lineWidth).toBe(2)
+    expect(context.setLineDash).toHaveBeenLastCalledWith([2, 2])
+  })
+
+  it('draws crop marks outside of the bleed, aligned with the trim', () => {
+    drawPrintMarks(context, box, canvasSize, {
+      bleedDistance: 5,
+      cropMarks: { length: 4, offset: 2 },
+    })
+
+    expect(context.moveTo.mock.calls).toEqual([
+      [14, 20],
+      [122, 20],
+      [14, 80],
+      [122, 80],
+      [20, 14],
+      [20, 82],
+      [120, 14],
+      [120, 82],
+    ])
+
+    context.moveTo.mockClear()
+    drawPrintMarks(context, box, canvasSize, {
+      bleedDistance: 5,
+      bleedEdges: { top: true },
+      cutLines: {},
+      cropMarks: { length: 4, offset: 2 },
+    })
+
+    // the first four are the cut lines
+    expect(context.moveTo.mock.calls.slice(4, 6)).toEqual([
+      [14, 25],
+      [122, 25],
+    ])
+  })
+
+  it('draws registration targets centered on each side', () => {
+    drawPrintMarks(context, box, canvasSize, { registrationMarks: true })
+
+    expect(context.arc.mock.calls.map(([x, y]) => [x, y])).toEqual([
+      [70, 12],
+      [128, 50],
+      [70, 88],
+      [12, 50],
+    ])
+    expect(context.strokeStyle).toBe('#000000')
+  })
+
+  it('draws the safe area inside the trim', () => {
+    drawPrintMarks(context, box, canvasSize, {
+      bleedDistance: 5,
+      bleedEdges: allEdges,
+      safeArea: 10,
+    })
+
+    expect(context.strokeRect).toHaveBeenLastCalledWith(35, 35, 70, 30)
+
+    drawPrintMarks(context, box, canvasSize, {
+      safeArea: { inset: 4, color: 'red' },
+    })
+
+    expect(context.strokeRect).toHaveBeenLastCalledWith(24, 24, 92, 52)
+    expect(context.strokeStyle).toBe('red')
+  })
+})
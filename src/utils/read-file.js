@@ -0,0 +1,15 @@
+/* eslint-env browser, node */
+
+/*
+ * Reads a Blob or File with a FileReader, `method` being the
+ * FileReader method to use, such as 'readAsDataURL'.
+ */
+const readFile = (blob, method) =>
+  new Promise((resolve, reject) => {
+    const reader = new FileReader()
+    reader.onload = e => resolve(e.target.result)
+    reader.onerror = reject
+    reader[method](blob)
+  })
+
+export default readFile
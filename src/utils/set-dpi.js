@@ -0,0 +1,120 @@
+/* eslint-env browser, node */
+
+/*
+ * Writes the print resolution into an encoded PNG (pHYs chunk) or
+ * JPEG (JFIF density), which canvas encoding leaves at the 72 or
+ * 96 dpi default. Accepts an ArrayBuffer or Uint8Array and returns
+ * a Uint8Array, other formats being returned unchanged.
+ */
+const INCHES_PER_METRE = 1 / 0.0254
+
+let crcTable = null
+
+const getCrcTable = () => {
+  if (!crcTable) {
+    crcTable = []
+    for (let n = 0; n < 256; n++) {
+      let c = n
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1
+      }
+      crcTable[n] = c >>> 0
+    }
+  }
+  return crcTable
+}
+
+const crc32 = (bytes, start, end) => {
+  const table = getCrcTable()
+  let crc = 0xffffffff
+  for (let i = start; i < end; i++) {
+    crc = table[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8)
+  }
+  return (crc ^ 0xffffffff) >>> 0
+}
+
+const concat = (...parts) => {
+  const result = new Uint8Array(
+    parts.reduce((length, part) => length + part.length, 0)
+  )
+  parts.reduce((offset, part) => {
+    result.set(part, offset)
+    return offset + part.length
+  }, 0)
+  return result
+}
+
+const createPHYs = dpi => {
+  const pixelsPerMetre = Math.round(dpi * INCHES_PER_METRE)
+  const chunk = new Uint8Array(21)
+  const view = new DataView(chunk.buffer)
+
+  view.setUint32(0, 9, false)
+  chunk.set([0x70, 0x48, 0x59, 0x73], 4) // pHYs
+  view.setUint32(8, pixelsPerMetre, false)
+  view.setUint32(12, pixelsPerMetre, false)
+  chunk[16] = 1 // unit is the metre
+  view.setUint32(17, crc32(chunk, 4, 17), false)
+
+  return chunk
+}
+
+const setPNGDpi = (bytes, dpi) => {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength)
+  // the IHDR chunk always comes first, right after the signature
+  const ihdrEnd = 8 + 12 + view.getUint32(8, false)
+  const chunks = []
+  let offset = ihdrEnd
+
+  while (offset + 8 <= bytes.length) {
+    const end = offset + 12 + view.getUint32(offset, false)
+    const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8))
+    if (type !== 'pHYs') {
+      chunks.push(bytes.subarray(offset, end))
+    }
+    offset = end
+  }
+
+  return concat(bytes.subarray(0, ihdrEnd), createPHYs(dpi), ...chunks)
+}
+
+const writeJFIFDensity = (bytes, offset, dpi) => {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength)
+  const density = Math.min(0xffff, Math.round(dpi))
+
+  bytes[offset + 11] = 1 // density is in dots per inch
+  view.setUint16(offset + 12, density, false)
+  view.setUint16(offset + 14, density, false)
+}
+
+const setJPEGDpi = (bytes, dpi) => {
+  const isJFIF =
+    bytes[2] === 0xff &&
+    bytes[3] === 0xe0 &&
+    String.fromCharCode(...bytes.subarray(6, 11)) === 'JFIF\0'
+
+  if (isJFIF) {
+    const result = bytes.slice()
+    writeJFIFDensity(result, 2, dpi)
+    return result
+  }
+
+  // a version 1.1 JFIF segment without thumbnail
+  const app0 = new Uint8Array(18)
+  app0.set([0xff, 0xe0, 0x00, 0x10, 0x4a, 0x46, 0x49, 0x46, 0x00, 0x01, 0x01])
+  writeJFIFDensity(app0, 0, dpi)
+
+  return concat(bytes.subarray(0, 2), app0, bytes.subarray(2))
+}
+
+export default function setDpi(buffer, dpi) {
+  const bytes = new Uint8Array(buffer)
+
+  if (bytes[0] === 0x89 && bytes[1] === 0x50 && bytes[2] === 0x4e) {
+    return setPNGDpi(bytes, dpi)
+  }
+  if (bytes[0] === 0xff && bytes[1] === 0xd8) {
+    return setJPEGDpi(bytes, dpi)
+  }
+  return bytes
+}
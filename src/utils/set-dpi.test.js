@@ -0,0 +1,126 @@
+/* eslint-env jest */
+
+import setDpi from './set-dpi'
+
+const PNG_SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]
+
+const chunk = (type, data) => [
+  0,
+  0,
+  0,
+  data.length,
+  ...type.split('').map(c => c.charCodeAt(0)),
+  ...data,
+  0,
+  0,
+  0,
+  0,
+]
+
+const readASCII = (bytes, offset, length) =>
+  String.fromCharCode(...bytes.slice(offset, offset + length))
+
+const chunkTypes = bytes => {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength)
+  const types = []
+  for (let offset = 8; offset < bytes.length; ) {
+    types.push(readASCII(bytes, offset + 4, 4))
+    offset += 12 + view.getUint32(offset, false)
+  }
+  return types
+}
+
+describe('setDpi', () => {
+  it('inserts a pHYs chunk after the PNG header', () => {
+    const png = new Uint8Array([
+      ...PNG_SIGNATURE,
+      ...chunk('IHDR', new Array(13).fill(0)),
+      ...chunk('IDAT', [1, 2, 3]),
+      ...chunk('IEND', []),
+    ])
+
+    const result = setDpi(png.buffer, 300)
+    const view = new DataView(result.buffer)
+
+    expect(chunkTypes(result)).toEqual(['IHDR', 'pHYs', 'IDAT', 'IEND'])
+    // 300 dpi is 11811 pixels per metre
+    expect(view.getUint32(41, false)).toBe(11811)
+    expect(view.getUint32(45, false)).toBe(11811)
+    expect(result[49]).toBe(1)
+    expect(view.getUint32(50, false)).toBe(0x78a53f76)
+  })
+
+  it('replaces an existing pHYs chunk', () => {
+    const png = new Uint8Array([
+      ...PNG_SIGNATURE,
+      ...chunk('IHDR', new Array(13).fill(0)),
+      ...chunk('pHYs', new Array(9).fill(0)),
+      ...chunk('IEND', []),
+    ])
+
+    expect(chunkTypes(setDpi(png, 150))).toEqual(['IHDR', 'pHYs', 'IEND'])
+  })
+
+  it('updates the JFIF density of a JPEG', () => {
+    const jpeg = new Uint8Array([
+      0xff,
+      0xd8,
+      0xff,
+      0xe0,
+      0x00,
+      0x10,
+      ...'JFIF\0'.split('').map(c => c.charCodeAt(0)),
+      0x01,
+      0x01,
+      0x00,
+      0x00,
+      0x01,
+      0x00,
+      0x01,
+      0x00,
+      0x00,
+      0xff,
+      0xd9,
+    ])
+
+    const result = setDpi(jpeg, 300)
+
+    expect(result.length).toBe(jpeg.length)
+    expect(Array.from(result.slice(13, 18))).toEqual([1, 1, 44, 1, 44])
+    // the source is left untouched
+    expect(jpeg[13]).toBe(0)
+  })
+
+  it('adds a JFIF segment to a JPEG without one', () => {
+    const jpeg = new Uint8Array([
+      0xff,
+      0xd8,
+      0xff,
+      0xdb,
+      0x00,
+      0x02,
+      0xff,
+      0xd9,
+    ])
+
+    const result = setDpi(jpeg, 72)
+
+    expect(result.length).toBe(jpeg.length + 18)
+    expect(readASCII(result, 6, 5)).toBe('JFIF\0')
+    expect(Array.from(result.slice(13, 18))).toEqual([1, 0, 72, 0, 72])
+    expect(Array.from(result.slice(20))).toEqual([
+      0xff,
+      0xdb,
+      0x00,
+      0x02,
+      0xff,
+      0xd9,
+    ])
+  })
+
+  it('leaves other formats unchanged', () => {
+    const bytes = new Uint8Array([0x52, 0x49, 0x46, 0x46])
+
+    expect(Array.from(setDpi(bytes, 300))).toEqual([0x52, 0x49, 0x46, 0x46])
+  })
+})
@@ -0,0 +1,51 @@
+import { findMetadata } from './inspect-metadata'
+
+// VP8X flags announcing the ICC, EXIF and XMP chunks
+const WEBP_METADATA_FLAGS = 0x20 | 0x08 | 0x04
+
+// The RIFF size and the VP8X flags describe the chunks of a WebP file,
+// keep them in line with the chunks left.
+const updateWebPHeader = bytes => {
+  const view = new DataView(bytes.buffer)
+  view.setUint32(4, bytes.length - 8, true)
+  if (String.fromCharCode(...bytes.subarray(12, 16)) === 'VP8X') {
+    bytes[20] &= ~WEBP_METADATA_FLAGS
+  }
+}
+
+/*
+ * Removes the EXIF, XMP and ICC segments (or chunks) of a JPEG, PNG or
+ * WebP file. Returns the buffer itself when there are none, or for
+ * other kinds of files, a new ArrayBuffer otherwise.
+ */
+const stripMetadata = buffer => {
+  const { format, segments } = findMetadata(buffer)
+  if (segments.length === 0) {
+    return buffer
+  }
+
+  const source = new Uint8Array(buffer)
+  const kept = []
+  let position = 0
+  segments.forEach(({ start, end }) => {
+    kept.push(source.subarray(position, start))
+    position = Math.min(end, source.length)
+  })
+  kept.push(source.subarray(position))
+
+  const bytes = new Uint8Array(
+    kept.reduce((length, part) => length + part.length, 0)
+  )
+  kept.reduce((offset, part) => {
+    bytes.set(part, offset)
+    return offset + part.length
+  }, 0)
+
+  if (format === 'webp') {
+    updateWebPHeader(bytes)
+  }
+
+  return bytes.buffer
+}
+
+export default stripMetadata
@@ -0,0 +1,85 @@
+/* eslint-env jest */
+
+import stripMetadata from './strip-metadata'
+import {
+  ascii,
+  jpeg,
+  jpegSegment,
+  png,
+  pngChunk,
+  toBuffer,
+  webpChunk,
+} from '../test-utils/image-files'
+
+const toArray = buffer => Array.from(new Uint8Array(buffer))
+
+describe('stripMetadata', () => {
+  it('returns files without metadata as they are', () => {
+    const buffer = toBuffer(jpeg([...jpegSegment(0xe0, ascii('JFIF\0'))]))
+
+    expect(stripMetadata(buffer)).toBe(buffer)
+  })
+
+  it('removes the EXIF, XMP and ICC segments of a JPEG', () => {
+    const jfif = jpegSegment(0xe0, ascii('JFIF\0'))
+    const result = stripMetadata(
+      toBuffer(
+        jpeg([
+          ...jfif,
+          ...jpegSegment(0xe1, ascii('Exif\0\0MM')),
+          ...jpegSegment(0xe2, ascii('ICC_PROFILE\0\x01\x01')),
+          ...jpegSegment(0xe1, ascii('http://ns.adobe.com/xap/1.0/\0<x/>')),
+        ])
+      )
+    )
+
+    expect(toArray(result)).toEqual(jpeg(jfif))
+  })
+
+  it('removes the metadata chunks of a PNG', () => {
+    const text = pngChunk('tEXt', ascii('Title\0Me'))
+    const result = stripMetadata(
+      toBuffer(
+        png([
+          ...pngChunk('iCCP', ascii('sRGB\0')),
+          ...text,
+          ...pngChunk('iTXt', ascii('XML:com.adobe.xmp\0')),
+        ])
+      )
+    )
+
+    expect(toArray(result)).toEqual(png(text))
+  })
+
+  it('removes the metadata chunks of a WebP and updates its header', () => {
+    const webp = (...chunks) => {
+      const size = chunks.reduce((sum, chunk) => sum + chunk.length, 4)
+      return [
+        ...ascii('RIFF'),
+        size & 0xff,
+        size >> 8,
+        0,
+        0,
+        ...ascii('WEBP'),
+        ...[].concat(...chunks),
+      ]
+    }
+    // VP8X with the ICC, EXIF and alpha flags set
+    const extended = flags =>
+      webpChunk('VP8X', [flags, ...new Array(9).fill(0)])
+    const image = webpChunk('VP8 ', [1, 2, 3])
+
+    const result = stripMetadata(
+      toBuffer(
+        webp(
+          extended(0x38),
+          webpChunk('ICCP', ascii('sRGB')),
+          image,
+          webpChunk('EXIF', ascii('MM*'))
+        )
+      )
+    )
+
+    expect(toArray(result)).toEqual(webp(extended(0x10), image))
+  })
+})
@@ -0,0 +1,7 @@
+const MM_PER_INCH = 25.4
+
+// Converts a length in 'mm' or 'in' to pixels at the given resolution.
+const toPixels = (value, unit, dpi) =>
+  (unit === 'in' ? value : value / MM_PER_INCH) * dpi
+
+export default toPixels
@@ -0,0 +1,17 @@
+/*
+ * Describes the line joining two touch points: its length and
+ * its angle in degrees. Comparing the values measured at the
+ * start of a two-finger gesture with the current ones gives the
+ * pinch factor (distance ratio) and the twist (angle difference).
+ */
+const getTouchGesture = (first, second) => {
+  const dx = second.pageX - first.pageX
+  const dy = second.pageY - first.pageY
+
+  return {
+    distance: Math.sqrt(dx * dx + dy * dy),
+    angle: (Math.atan2(dy, dx) * 180) / Math.PI,
+  }
+}
+
+export default getTouchGesture
@@ -0,0 +1,35 @@
+/* eslint-env jest */
+
+import getTouchGesture from './touch-gesture'
+
+describe('getTouchGesture', () => {
+  it('returns the distance between both touches', () => {
+    const result = getTouchGesture(
+      { pageX: 10, pageY: 10 },
+      { pageX: 40, pageY: 50 }
+    )
+
+    expect(result.distance).toBe(50)
+  })
+
+  it('returns the angle of the line joining both touches in degrees', () => {
+    expect(
+      getTouchGesture({ pageX: 0, pageY: 0 }, { pageX: 10, pageY: 0 }).angle
+    ).toBe(0)
+    expect(
+      getTouchGesture({ pageX: 0, pageY: 0 }, { pageX: 0, pageY: 10 }).angle
+    ).toBe(90)
+    expect(
+      getTouchGesture({ pageX: 0, pageY: 0 }, { pageX: -10, pageY: 0 }).angle
+    ).toBe(180)
+  })
+
+  it('returns a zero distance when both touches overlap', () => {
+    const result = getTouchGesture(
+      { pageX: 5, pageY: 5 },
+      { pageX: 5, pageY: 5 }
+    )
+
+    expect(result.distance).toBe(0)
+  })
+})